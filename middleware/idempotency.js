@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const HttpError = require('../utils/httpError');
+
+const MAX_KEY_LENGTH = 255;
+
+// A request still marked as processing after this long is assumed to have
+// died with its server and may be retried. Handlers mark their key committed
+// in the transaction that saves their changes, so a key still processing
+// means nothing was saved; this is well past MongoDB's 60 second limit on a
+// transaction's lifetime.
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How long a stored response is replayed for
+const getRetentionMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+// Take the key for this request. Resolves to the stored record when the key
+// was already used, or null when this request now owns it.
+const claimKey = async ({ userId, key, req, requestHash, attemptId }) => {
+  const now = new Date();
+  try {
+    await IdempotencyKey.create({
+      userId,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      attemptId,
+      expiresAt: new Date(now.getTime() + getRetentionMs())
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (!existing) {
+    // Expired and removed in the meantime
+    return claimKey({ userId, key, req, requestHash, attemptId });
+  }
+
+  // Expired records linger until MongoDB's TTL sweep; abandoned ones are left
+  // behind by a crash before anything was committed. Either may be taken
+  // over by this request. A committed key is never run again.
+  const isExpired = existing.expiresAt <= now;
+  const isAbandoned = existing.status === 'processing' &&
+    existing.updatedAt <= new Date(now.getTime() - PROCESSING_TIMEOUT_MS);
+  if (isExpired || (isAbandoned && existing.requestHash === requestHash)) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      {
+        $set: {
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          requestHash,
+          attemptId,
+          status: 'processing',
+          expiresAt: new Date(now.getTime() + getRetentionMs())
+        },
+        $unset: { responseStatus: 1, responseBody: 1 }
+      }
+    );
+    if (taken) return null;
+    return IdempotencyKey.findOne({ userId, key });
+  }
+
+  return existing;
+};
+
+/**
+ * Honour an Idempotency-Key header on a mutating route. Must run after auth,
+ * and the handler must call markIdempotencyKeyCommitted in the transaction
+ * that saves its changes.
+ *
+ * The first request with a key runs normally and its successful response is
+ * stored for the retention window (IDEMPOTENCY_KEY_TTL_HOURS, default 24).
+ * The response is stored when the handler sends it, so it is kept even if
+ * the client has disconnected by then.
+ * A retry with the same key and body gets the stored response back with an
+ * Idempotent-Replayed header instead of running again. The same key with a
+ * different body, or while the first request is still running, is a 409.
+ * Failed requests are not stored, since they changed nothing and may be
+ * retried with the same key.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const userId = req.user._id;
+    const requestHash = hashRequest(req);
+    const attemptId = crypto.randomUUID();
+    const existing = await claimKey({ userId, key: key.trim(), req, requestHash, attemptId });
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        // Committed long ago without a stored response: the server stopped
+        // between saving and responding. Running again would repeat the
+        // changes, so the client has to check the result instead.
+        const lost = existing.status === 'committed' &&
+          existing.updatedAt <= new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+        return res.status(409).json({
+          success: false,
+          message: lost
+            ? 'A request with this Idempotency-Key was completed but its response is no longer available. Check the result before retrying with a new key.'
+            : 'A request with this Idempotency-Key is still being processed. Retry shortly.'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    const filter = { userId, key: key.trim(), attemptId };
+    req.idempotencyKey = filter;
+
+    // Store the response as the handler sends it; a successful one is kept
+    // for replay, a failed one releases the key unless changes were committed
+    let stored = false;
+    const storeResponse = (statusCode, responseBody) => {
+      stored = true;
+      const update = statusCode >= 200 && statusCode < 300 && responseBody !== undefined
+        ? IdempotencyKey.updateOne(
+          { ...filter, status: { $in: ['processing', 'committed'] } },
+          { $set: { status: 'completed', responseStatus: statusCode, responseBody } }
+        )
+        : IdempotencyKey.deleteOne({ ...filter, status: 'processing' });
+
+      update.catch(error => console.error('Idempotency key update error:', error));
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      // Store exactly what the client receives, e.g. with model virtuals
+      if (!stored) storeResponse(res.statusCode, JSON.parse(JSON.stringify(body)));
+      return json(body);
+    };
+
+    // Responses that were not JSON are not replayed
+    res.on('finish', () => {
+      if (!stored) storeResponse(res.statusCode, undefined);
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking the idempotency key.'
+    });
+  }
+};
+
+/**
+ * Record that the request's changes are being saved. Call inside the
+ * transaction that saves them, so the key is committed exactly when they
+ * are. Does nothing when the request has no Idempotency-Key.
+ *
+ * @param {Object} req - Express request
+ * @param {ClientSession} session - Transaction the changes are saved in
+ */
+const markIdempotencyKeyCommitted = async (req, session) => {
+  if (!req.idempotencyKey) return;
+
+  const result = await IdempotencyKey.updateOne(
+    { ...req.idempotencyKey, status: 'processing' },
+    { $set: { status: 'committed' } },
+    { session }
+  );
+
+  // The key was taken over by a retry; abort rather than save twice
+  if (result.modifiedCount === 0) {
+    throw new HttpError('A request with this Idempotency-Key is already being processed. Retry shortly.', 409);
+  }
+};
+
+module.exports = {
+  idempotency,
+  markIdempotencyKeyCommitted
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_PREFIX, DEFAULT_FORMAT, isValidNumberFormat, numberSettingsError } = require('../utils/invoiceNumberService');
 
 const businessSchema = new mongoose.Schema({
   business_id: {
@@ -123,6 +124,131 @@ const businessSchema = new mongoose.Schema({
     saturday: { open: String, close: String, is_closed: { type: Boolean, default: false } },
     sunday: { open: String, close: String, is_closed: { type: Boolean, default: true } }
   },
+  invoice_settings: {
+    prefix: {
+      type: String,
+      default: DEFAULT_PREFIX,
+      trim: true,
+      uppercase: true,
+      maxlength: [10, 'Invoice prefix cannot exceed 10 characters'],
+      match: [/^[A-Z0-9-]*$/, 'Invoice prefix can only contain letters, numbers and hyphens']
+    },
+    credit_note_prefix: {
+      type: String,
+      default: 'CN',
+      trim: true,
+      uppercase: true,
+      maxlength: [10, 'Credit note prefix cannot exceed 10 characters'],
+      match: [/^[A-Z0-9-]*$/, 'Credit note prefix can only contain letters, numbers and hyphens']
+    },
+    quotation_prefix: {
+      type: String,
+      default: 'QT',
+      trim: true,
+      uppercase: true,
+      maxlength: [10, 'Quotation prefix cannot exceed 10 characters'],
+      match: [/^[A-Z0-9-]*$/, 'Quotation prefix can only contain letters, numbers and hyphens']
+    },
+    number_format: {
+      type: String,
+      default: DEFAULT_FORMAT,
+      trim: true,
+      maxlength: [50, 'Invoice number format cannot exceed 50 characters'],
+      validate: {
+        validator: isValidNumberFormat,
+        message: 'Invoice number format must contain {FY} and exactly one {SEQ} or {SEQ:n} placeholder'
+      }
+    },
+    // How long after issue an invoice may still be voided
+    void_window_hours: {
+      type: Number,
+      default: 24,
+      min: [1, 'Void window must be at least 1 hour'],
+      max: [8760, 'Void window cannot exceed 8760 hours (1 year)']
+    },
+    // Default validity for new quotations
+    quotation_validity_days: {
+      type: Number,
+      default: 15,
+      min: [1, 'Quotation validity must be at least 1 day'],
+      max: [365, 'Quotation validity cannot exceed 365 days']
+    },
+    // Template used for invoice PDFs and shared invoice pages; null uses
+    // the built-in classic look
+    template_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvoiceTemplate',
+      default: null
+    }
+  },
+  // Reminders to customers with overdue balances. Manual reminders only use
+  // the message template and channels; the cadence applies to the automatic
+  // reminders sent by utils/paymentReminderScheduler.js.
+  reminder_settings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    channels: {
+      type: [{ type: String, enum: ['email', 'sms', 'whatsapp'] }],
+      default: ['email']
+    },
+    // Days after the oldest unpaid invoice before the first reminder
+    overdue_after_days: {
+      type: Number,
+      default: 7,
+      min: [0, 'Overdue days cannot be negative'],
+      max: [365, 'Overdue days cannot exceed 365']
+    },
+    repeat_every_days: {
+      type: Number,
+      default: 7,
+      min: [1, 'Reminders cannot repeat more than once a day'],
+      max: [90, 'Reminder interval cannot exceed 90 days']
+    },
+    // Automatic reminders for one overdue balance before they stop
+    max_reminders: {
+      type: Number,
+      default: 3,
+      min: [1, 'Send at least one reminder'],
+      max: [20, 'Cannot send more than 20 reminders']
+    },
+    // Custom message; null uses the default in utils/paymentReminderService.js
+    message_template: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [1000, 'Reminder message cannot exceed 1000 characters']
+    }
+  },
+  // Loyalty points: earn_points for every earn_spend_amount rupees billed,
+  // each point worth point_value rupees when redeemed
+  loyalty_settings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    earn_spend_amount: {
+      type: Number,
+      default: 100,
+      min: [1, 'Spend per earning step must be at least ₹1']
+    },
+    earn_points: {
+      type: Number,
+      default: 1,
+      min: [1, 'Points per earning step must be at least 1'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Points per earning step must be a whole number'
+      }
+    },
+    point_value: {
+      type: Number,
+      default: 1,
+      min: [0.01, 'Point value must be at least ₹0.01'],
+      max: [1000, 'Point value cannot exceed ₹1000']
+    }
+  },
   business_status: {
     type: String,
     default: 'Active',
@@ -150,6 +276,20 @@ businessSchema.index({ user_id: 1 });
 businessSchema.index({ business_name: 1 });
 businessSchema.index({ business_type: 1 });
 
+// Numbers must stay GST-compliant for every prefix the format is used with.
+// Only checked when the numbering settings change, so businesses keep
+// saving with a format they set up earlier.
+const NUMBER_SETTINGS = ['prefix', 'credit_note_prefix', 'quotation_prefix', 'number_format']
+  .map(key => `invoice_settings.${key}`);
+
+businessSchema.pre('validate', function(next) {
+  if (this.isNew || NUMBER_SETTINGS.some(path => this.isModified(path))) {
+    const error = numberSettingsError(this.invoice_settings);
+    if (error) this.invalidate('invoice_settings.number_format', error);
+  }
+  next();
+});
+
 // Virtual for full address
 businessSchema.virtual('full_address').get(function() {
   const addr = this.business_address;
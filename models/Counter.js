@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Sequence counters used for gap-free document numbering. One document per
+// business, numbering series and financial year; the sequence is incremented
+// inside the same transaction that creates the numbered document, so an
+// aborted transaction never consumes a number.
+const counterSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  series: {
+    type: String,
+    required: [true, 'Counter series is required'],
+    trim: true
+  },
+  financialYear: {
+    type: String,
+    required: [true, 'Financial year is required'],
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ userId: 1, businessId: 1, series: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
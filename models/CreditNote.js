@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { taxSummarySchema, hsnSummarySchema } = require('./schemas/gstSummary');
+
+const creditNoteItemSchema = new mongoose.Schema({
+  // Line on the original invoice this return is against
+  invoiceItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Invoice item ID is required']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  productName: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: 'piece',
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Where the returned units went: back to sellable stock or to damaged stock
+  restockTo: {
+    type: String,
+    enum: ['sellable', 'damaged'],
+    default: 'sellable'
+  },
+  taxRate: { type: Number, default: 0 },
+  taxableValue: { type: Number, required: true, min: [0, 'Taxable value cannot be negative'] },
+  taxAmount: { type: Number, default: 0 },
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  cessRate: { type: Number, default: 0 },
+  cessAmount: { type: Number, default: 0 },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Item total cannot be negative']
+  }
+}, { _id: true });
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    trim: true
+  },
+  creditNoteDate: {
+    type: Date,
+    default: Date.now
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice ID is required']
+  },
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true
+  },
+  invoiceDate: Date,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  customerInfo: {
+    name: { type: String, trim: true },
+    mobileNumber: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    address: { type: String, trim: true },
+    state: { type: String, trim: true },
+    gstNumber: { type: String, trim: true, uppercase: true }
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  placeOfSupply: {
+    state: { type: String, trim: true },
+    stateCode: { type: String, trim: true }
+  },
+  items: {
+    type: [creditNoteItemSchema],
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length > 0;
+      },
+      message: 'Credit note must contain at least one item'
+    }
+  },
+  taxableAmount: { type: Number, required: true, min: [0, 'Taxable amount cannot be negative'] },
+  taxAmount: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  cessAmount: { type: Number, default: 0 },
+  taxSummary: [taxSummarySchema],
+  hsnSummary: [hsnSummarySchema],
+  roundOff: { type: Number, default: 0 },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: false,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better performance
+creditNoteSchema.index({ userId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ invoiceId: 1 });
+creditNoteSchema.index({ userId: 1, businessId: 1, creditNoteDate: -1 });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
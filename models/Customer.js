@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { GSTIN_REGEX } = require('../utils/gstService');
+
+const MOBILE_REGEX = /^[6-9]\d{9}$/;
+
+// Reduce a phone number to its 10 digits, dropping spaces, dashes and a
+// leading +91 or 0, so the same customer always has the same key
+const normalizeMobile = (value) => {
+  if (value === undefined || value === null) return value;
+  let digits = String(value).replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  return MOBILE_REGEX.test(digits) ? digits : String(value).trim();
+};
+
+// A customer of the business. Invoices link to the customer by customerId
+// and keep their own snapshot of the details in customerInfo.
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  // One customer per mobile number within a business
+  mobileNumber: {
+    type: String,
+    required: [true, 'Customer mobile number is required'],
+    set: normalizeMobile,
+    match: [MOBILE_REGEX, 'Please enter a valid 10-digit mobile number']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    validate: {
+      validator: function(value) {
+        if (!value) return true;
+        return GSTIN_REGEX.test(value);
+      },
+      message: 'Please enter a valid GST number'
+    }
+  },
+  billingAddress: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Billing address cannot exceed 300 characters']
+  },
+  shippingAddress: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Shipping address cannot exceed 300 characters']
+  },
+  // Used for the GST place of supply when there is no GSTIN
+  state: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'State cannot exceed 50 characters']
+  },
+  // Most a customer may owe; new invoices on credit that would take the
+  // balance past it are refused. null means no limit.
+  creditLimit: {
+    type: Number,
+    default: null,
+    min: [0, 'Credit limit cannot be negative']
+  },
+  // Running total of the customer's ledger (what they owe); kept in step by
+  // utils/ledgerService.js, never set directly
+  outstandingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Loyalty points balance; kept in step by utils/loyaltyService.js
+  loyaltyPoints: {
+    type: Number,
+    default: 0
+  },
+  // When the last payment reminder went out; set by
+  // utils/paymentReminderService.js
+  lastReminderAt: {
+    type: Date,
+    default: null
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+customerSchema.statics.normalizeMobile = normalizeMobile;
+
+// Index for better performance
+customerSchema.index({ userId: 1, mobileNumber: 1 }, { unique: true });
+customerSchema.index({ userId: 1, name: 1 });
+customerSchema.index({ userId: 1, outstandingBalance: -1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
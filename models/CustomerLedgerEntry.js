@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One line in a customer's account (udhaar khata). Debits are what the
+// customer owes (invoices, refunds paid out), credits what settles it
+// (payments, credit notes, cancelled invoices). Entries are only ever added;
+// the running balance is worked out when the ledger is read.
+const customerLedgerEntrySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'payment', 'credit_note', 'refund', 'void'],
+    required: [true, 'Entry type is required']
+  },
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  invoiceNumber: String,
+  creditNoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+    default: null
+  },
+  creditNoteNumber: String,
+  // Payment method and reference for payment entries
+  paymentMethod: String,
+  reference: String,
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+customerLedgerEntrySchema.index({ userId: 1, customerId: 1, entryDate: 1, _id: 1 });
+customerLedgerEntrySchema.index({ invoiceId: 1 });
+
+module.exports = mongoose.model('CustomerLedgerEntry', customerLedgerEntrySchema);
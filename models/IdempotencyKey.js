@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Responses stored against client-supplied Idempotency-Key headers so a
+// retried request is answered from the first attempt instead of running
+// again. Keys are scoped to the user and removed once they expire.
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body of the first request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // processing: running; committed: its changes were saved (set in the
+  // same transaction) but the response is not stored yet; completed: the
+  // response is stored for replay
+  status: {
+    type: String,
+    enum: ['processing', 'committed', 'completed'],
+    default: 'processing'
+  },
+  // Identifies the request currently holding the key, so a request whose
+  // key was taken over cannot commit or store a response afterwards
+  attemptId: {
+    type: String,
+    required: true
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+// MongoDB removes documents once expiresAt has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const { lineItemSchema } = require('./schemas/lineItem');
+const { taxSummarySchema, hsnSummarySchema } = require('./schemas/gstSummary');
+const { DISCOUNT_TYPES } = require('../utils/invoiceCalculator');
+const { PAYMENT_METHODS, summarizePayments } = require('../utils/paymentService');
+
+const invoiceItemSchema = lineItemSchema.clone();
+invoiceItemSchema.add({
+  // Units already returned against this line through credit notes
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  }
+});
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be positive']
+  },
+  // Loyalty points spent on a points tender
+  points: {
+    type: Number,
+    min: [1, 'Points must be positive']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference cannot exceed 100 characters']
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: true });
+
+// One attempt to email the invoice to the customer
+const emailLogSchema = new mongoose.Schema({
+  recipient: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  // What triggered the email: a user or the recurring invoice scheduler
+  source: {
+    type: String,
+    enum: ['manual', 'recurring'],
+    default: 'manual'
+  },
+  messageId: String,
+  error: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: true });
+
+const invoiceSchema = new mongoose.Schema({
+  // Assigned when the invoice is issued; drafts do not have one
+  invoiceNumber: {
+    type: String,
+    required: [function() { return this.status !== 'draft'; }, 'Invoice number is required'],
+    trim: true
+  },
+  invoiceDate: {
+    type: Date,
+    default: Date.now
+  },
+  customerInfo: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    mobileNumber: {
+      type: String,
+      required: [true, 'Customer mobile number is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    gstNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  // Customer master record; customerInfo keeps the details as they were at
+  // sale time
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // GST place of supply; decides between CGST + SGST and IGST
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  placeOfSupply: {
+    state: { type: String, trim: true },
+    stateCode: { type: String, trim: true }
+  },
+  items: {
+    type: [invoiceItemSchema],
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length > 0;
+      },
+      message: 'Invoice must contain at least one item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  itemDiscountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'flat'
+  },
+  // Invoice-level discount as entered (rupees or percent per discountType)
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Invoice-level discount in rupees
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxableAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Taxable amount cannot be negative']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  cgstAmount: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  cessAmount: { type: Number, default: 0 },
+  taxSummary: [taxSummarySchema],
+  hsnSummary: [hsnSummarySchema],
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  paymentMethod: {
+    type: String,
+    trim: true
+  },
+  payments: [paymentSchema],
+  // Derived from payments on every save
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['paid', 'partially_paid', 'unpaid'],
+    default: 'unpaid'
+  },
+  // Total of credit notes issued against this invoice
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credited amount cannot be negative']
+  },
+  // Loyalty points earned on this invoice and redeemed as a tender. Returns
+  // and voiding take earned points back; voiding also gives redeemed ones back.
+  loyalty: {
+    pointsEarned: { type: Number, default: 0 },
+    pointsRedeemed: { type: Number, default: 0 },
+    pointsReversed: { type: Number, default: 0 },
+    redeemedReturned: { type: Boolean, default: false }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'void'],
+    default: 'issued'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  voidInfo: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Void reason cannot exceed 500 characters']
+    },
+    voidedAt: Date,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Stock put back when the invoice was voided
+    stockRestored: [{
+      _id: false,
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      productName: String,
+      quantity: Number,
+      restored: Boolean
+    }]
+  },
+  emailHistory: [emailLogSchema],
+  // Set on invoices billed offline and uploaded through the sync API
+  clientId: {
+    type: String,
+    trim: true
+  },
+  clientCreatedAt: Date,
+  syncedAt: Date,
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: false,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for total number of units sold
+invoiceSchema.virtual('totalQuantity').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Virtual for void status
+invoiceSchema.virtual('isVoid').get(function() {
+  return this.status === 'void';
+});
+
+// Keep payment totals and status in step with the recorded tenders. Goods
+// returned through credit notes are no longer owed.
+invoiceSchema.pre('validate', function(next) {
+  Object.assign(this, summarizePayments(this.payments, this.totalAmount - (this.creditedAmount || 0)));
+  next();
+});
+
+// Index for better performance
+invoiceSchema.index({ userId: 1, businessId: 1, invoiceDate: -1 });
+invoiceSchema.index(
+  { userId: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+invoiceSchema.index({ 'customerInfo.mobileNumber': 1, userId: 1 });
+invoiceSchema.index({ userId: 1, customerId: 1, invoiceDate: -1 });
+invoiceSchema.index({ userId: 1, paymentStatus: 1 });
+invoiceSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A public, unauthenticated link to view one invoice. Only a hash of the
+// token is stored, so the link cannot be recovered from the database; the
+// full URL is shown once, when the link is created.
+const invoiceShareLinkSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  },
+  // Most recent views, newest last
+  views: [{
+    _id: false,
+    viewedAt: { type: Date, default: Date.now },
+    format: { type: String, enum: ['html', 'pdf'] },
+    ip: String,
+    userAgent: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the link can still be opened
+invoiceShareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for better performance
+invoiceShareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+invoiceShareLinkSchema.index({ invoiceId: 1, userId: 1 });
+
+module.exports = mongoose.model('InvoiceShareLink', invoiceShareLinkSchema);
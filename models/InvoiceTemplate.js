@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const HEX_COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+// Look of printed and shared invoices. A business picks one as its default
+// through invoice_settings.template_id; what a template may use depends on
+// the owner's subscription plan (see utils/invoiceTemplates.js).
+const invoiceTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [50, 'Template name cannot exceed 50 characters']
+  },
+  layout: {
+    type: String,
+    enum: {
+      values: ['classic', 'modern', 'minimal'],
+      message: 'Layout must be classic, modern or minimal'
+    },
+    default: 'classic'
+  },
+  colors: {
+    // Business name, titles and the modern layout's table header
+    primary: {
+      type: String,
+      default: '#222222',
+      match: [HEX_COLOR_REGEX, 'Primary color must be a hex color like #1a73e8']
+    },
+    // Table header background in the classic layout
+    accent: {
+      type: String,
+      default: '#f2f2f2',
+      match: [HEX_COLOR_REGEX, 'Accent color must be a hex color like #f2f2f2']
+    }
+  },
+  headerText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Header text cannot exceed 200 characters']
+  },
+  footerText: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Footer text cannot exceed 300 characters']
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Terms and conditions cannot exceed 2000 characters']
+  },
+  // Optional item table columns; #, Item, Qty, Rate and Amount always show
+  columns: {
+    hsnCode: { type: Boolean, default: true },
+    discount: { type: Boolean, default: true },
+    taxableValue: { type: Boolean, default: true },
+    taxRate: { type: Boolean, default: true }
+  },
+  // PNG or JPEG, stored as base64 like the business logo
+  signatureImage: {
+    type: String,
+    default: null
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+invoiceTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceTemplate', invoiceTemplateSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One movement of a customer's loyalty points. Points earned on a sale are
+// positive, points spent as a tender negative; reversals carry the opposite
+// sign of what they undo. Entries are only ever added.
+const loyaltyPointsEntrySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'earn_reversal', 'redeem_reversal'],
+    required: [true, 'Entry type is required']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points are required']
+  },
+  // Customer's points balance once this entry was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  invoiceNumber: String,
+  creditNoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+    default: null
+  },
+  creditNoteNumber: String,
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+loyaltyPointsEntrySchema.index({ userId: 1, customerId: 1, entryDate: -1, _id: -1 });
+loyaltyPointsEntrySchema.index({ invoiceId: 1 });
+
+module.exports = mongoose.model('LoyaltyPointsEntry', loyaltyPointsEntrySchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One payment reminder sent (or attempted) to a customer on one channel.
+// The automatic scheduler counts these to decide when to remind again.
+const paymentReminderSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'whatsapp'],
+    required: [true, 'Channel is required']
+  },
+  // Email address or mobile number the reminder went to
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required']
+  },
+  // simulated: handled by a stub transport, so nothing reached the customer
+  status: {
+    type: String,
+    enum: ['sent', 'simulated', 'failed'],
+    required: [true, 'Status is required']
+  },
+  // manual: sent from the API; automatic: sent by the scheduler
+  trigger: {
+    type: String,
+    enum: ['manual', 'automatic'],
+    required: [true, 'Trigger is required']
+  },
+  // Balance the reminder asked for
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required']
+  },
+  upiLink: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+paymentReminderSchema.index({ userId: 1, customerId: 1, sentAt: -1 });
+
+module.exports = mongoose.model('PaymentReminder', paymentReminderSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GST_RATE_SLABS, HSN_CODE_REGEX } = require('../utils/gstService');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -85,16 +86,40 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Capacity unit cannot exceed 20 characters']
   },
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(value) {
+        if (!value) return true;
+        return HSN_CODE_REGEX.test(value);
+      },
+      message: 'HSN/SAC code must be 4, 6 or 8 digits'
+    }
+  },
   taxRate: {
     type: Number,
     default: 0,
-    min: [0, 'Tax rate cannot be negative'],
-    max: [100, 'Tax rate cannot exceed 100%'],
     validate: {
+      // Products saved before slabs were enforced keep their rate until it
+      // is changed; they are refused at sale time instead
       validator: function(value) {
-        return Number.isFinite(value) && value >= 0 && value <= 100;
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('taxRate')) return true;
+        return GST_RATE_SLABS.includes(value);
       },
-      message: 'Tax rate must be between 0 and 100'
+      message: `Tax rate must be one of the GST slabs: ${GST_RATE_SLABS.join(', ')}`
+    }
+  },
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cess rate cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return Number.isFinite(value) && value >= 0;
+      },
+      message: 'Cess rate must be a valid non-negative number'
     }
   },
   isActive: {
@@ -112,6 +137,18 @@ const productSchema = new mongoose.Schema({
       message: 'Stock quantity must be a non-negative integer'
     }
   },
+  // Returned units that cannot be sold again; kept out of stockQuantity
+  damagedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Damaged quantity cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return Number.isInteger(value) && value >= 0;
+      },
+      message: 'Damaged quantity must be a non-negative integer'
+    }
+  },
   minimumStock: {
     type: Number,
     default: 0,
@@ -155,7 +192,7 @@ productSchema.virtual('taxAmount').get(function() {
 
 // Virtual for price including tax
 productSchema.virtual('priceIncludingTax').get(function() {
-  return (this.price + (this.price * this.taxRate / 100)).toFixed(2);
+  return (this.price + (this.price * (this.taxRate + (this.cessRate || 0)) / 100)).toFixed(2);
 });
 
 // Virtual for low stock status
@@ -168,6 +205,7 @@ productSchema.index({ businessId: 1, userId: 1 });
 productSchema.index({ name: 1, businessId: 1 });
 productSchema.index({ category: 1, businessId: 1 });
 productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ hsnCode: 1, businessId: 1 });
 
 // Pre-save middleware to generate SKU if not provided
 productSchema.pre('save', function(next) {
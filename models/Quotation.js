@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { lineItemSchema } = require('./schemas/lineItem');
+const { taxSummarySchema, hsnSummarySchema } = require('./schemas/gstSummary');
+const { DISCOUNT_TYPES } = require('../utils/invoiceCalculator');
+
+const QUOTATION_STATUSES = ['sent', 'accepted', 'rejected', 'expired', 'converted'];
+
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    required: [true, 'Quotation number is required'],
+    trim: true
+  },
+  quotationDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Prices are only honoured until this date; after it the quotation expires
+  validUntil: {
+    type: Date,
+    required: [true, 'Validity date is required']
+  },
+  status: {
+    type: String,
+    enum: QUOTATION_STATUSES,
+    default: 'sent'
+  },
+  customerInfo: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    mobileNumber: {
+      type: String,
+      required: [true, 'Customer mobile number is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    gstNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  placeOfSupply: {
+    state: { type: String, trim: true },
+    stateCode: { type: String, trim: true }
+  },
+  items: {
+    type: [lineItemSchema],
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length > 0;
+      },
+      message: 'Quotation must contain at least one item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  itemDiscountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'flat'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxableAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Taxable amount cannot be negative']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  cgstAmount: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  cessAmount: { type: Number, default: 0 },
+  taxSummary: [taxSummarySchema],
+  hsnSummary: [hsnSummarySchema],
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Set once the quotation has been turned into an invoice
+  convertedInvoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  convertedAt: Date,
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: false,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the validity date has passed
+quotationSchema.virtual('isExpired').get(function() {
+  return this.status === 'expired' ||
+    (['sent', 'accepted'].includes(this.status) && this.validUntil < new Date());
+});
+
+// Mark open quotations past their validity date as expired
+quotationSchema.statics.expireOverdue = function(userId) {
+  return this.updateMany(
+    { userId, status: { $in: ['sent', 'accepted'] }, validUntil: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Index for better performance
+quotationSchema.index({ userId: 1, quotationNumber: 1 }, { unique: true });
+quotationSchema.index({ userId: 1, status: 1, validUntil: 1 });
+quotationSchema.index({ 'customerInfo.mobileNumber': 1, userId: 1 });
+
+module.exports = mongoose.model('Quotation', quotationSchema);
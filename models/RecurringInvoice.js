@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const { DISCOUNT_TYPES } = require('../utils/invoiceCalculator');
+const { FREQUENCIES } = require('../utils/recurringSchedule');
+
+// Line on the template; prices are read from the product at each run
+const templateItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'flat'
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// One scheduled occurrence and what happened to it
+const runSchema = new mongoose.Schema({
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  ranAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failed', 'skipped'],
+    required: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  totalAmount: Number,
+  emailed: {
+    type: Boolean,
+    default: false
+  },
+  error: String
+}, { _id: true });
+
+const recurringInvoiceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  customerInfo: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    mobileNumber: {
+      type: String,
+      required: [true, 'Customer mobile number is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    gstNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  items: {
+    type: [templateItemSchema],
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length > 0;
+      },
+      message: 'Template must contain at least one item'
+    }
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'flat'
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Generated invoices are usually billed on account (udhaar)
+  paymentMethod: {
+    type: String,
+    trim: true,
+    default: 'credit'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, 'Schedule frequency is required']
+    },
+    // Every n weeks or months
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1'],
+      max: [12, 'Interval cannot exceed 12']
+    },
+    // 0 (Sunday) to 6 (Saturday), for weekly schedules
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: null
+    },
+    // 1 to 31, for monthly schedules; clamped to short months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Occurrences missed while the server was down: generate each of them
+  // ('all') or only the most recent one ('latest')
+  catchUp: {
+    type: String,
+    enum: ['all', 'latest'],
+    default: 'all'
+  },
+  emailInvoice: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  // Next occurrence to generate; null once the schedule has ended
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  // Most recent runs, newest last
+  runs: [runSchema],
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: false,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+recurringInvoiceSchema.index({ status: 1, nextRunAt: 1 });
+recurringInvoiceSchema.index({ userId: 1, businessId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecurringInvoice', recurringInvoiceSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Records deleted documents so offline clients pulling the sync delta feed
+// learn to drop them. Tombstones are removed after the retention period;
+// clients whose cursor is older than that must do a full resync.
+const TOMBSTONE_RETENTION_DAYS = 90;
+
+const syncTombstoneSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['product'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+});
+
+syncTombstoneSchema.index({ userId: 1, businessId: 1, entityType: 1, deletedAt: 1 });
+syncTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+const SyncTombstone = mongoose.model('SyncTombstone', syncTombstoneSchema);
+
+module.exports = SyncTombstone;
+module.exports.TOMBSTONE_RETENTION_DAYS = TOMBSTONE_RETENTION_DAYS;
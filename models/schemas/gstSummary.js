@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Summary tables shared by invoices and credit notes
+
+// One row per tax rate, as printed in the tax summary table of a GST invoice
+const taxSummarySchema = new mongoose.Schema({
+  taxRate: { type: Number, required: true },
+  taxableValue: { type: Number, default: 0 },
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  totalTax: { type: Number, default: 0 }
+}, { _id: false });
+
+// One row per HSN/SAC code and rate for the HSN-wise summary
+const hsnSummarySchema = new mongoose.Schema({
+  hsnCode: { type: String, default: '' },
+  taxRate: { type: Number, default: 0 },
+  cessRate: { type: Number, default: 0 },
+  quantity: { type: Number, default: 0 },
+  taxableValue: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  cessAmount: { type: Number, default: 0 },
+  totalTax: { type: Number, default: 0 }
+}, { _id: false });
+
+module.exports = {
+  taxSummarySchema,
+  hsnSummarySchema
+};
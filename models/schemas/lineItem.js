@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { DISCOUNT_TYPES } = require('../../utils/invoiceCalculator');
+
+// Priced line item shared by invoices and quotations
+const lineItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  // Snapshot of the product at the time of sale so later product edits
+  // do not change what was actually billed
+  productName: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: 'piece',
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Item price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  grossAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Gross amount cannot be negative']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'flat'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Portion of the invoice-level discount allocated to this line
+  invoiceDiscountShare: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxableValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Taxable value cannot be negative']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  cessRate: { type: Number, default: 0 },
+  cessAmount: { type: Number, default: 0 },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Item total cannot be negative']
+  }
+}, { _id: true });
+
+module.exports = {
+  lineItemSchema
+};
@@ -3,6 +3,8 @@ const Business = require('../models/Business');
 const User = require('../models/User');
 const { auth, requireEmailVerified } = require('../middleware/auth');
 const { businessValidation } = require('../middleware/validation');
+const { REMINDER_PLANS } = require('../utils/paymentReminderService');
+const { getActivePlan, planIncludes } = require('../utils/subscriptionPlan');
 
 const router = express.Router();
 
@@ -110,6 +112,9 @@ router.get('/profile', auth, async (req, res) => {
           upi_id: business.upi_id,
           contact_details: business.contact_details,
           operating_hours: business.operating_hours,
+          invoice_settings: business.invoice_settings,
+          reminder_settings: business.reminder_settings,
+          loyalty_settings: business.loyalty_settings,
           business_status: business.business_status,
           verification_status: business.verification_status,
           created_at: business.created_at,
@@ -148,9 +153,21 @@ router.put('/profile', auth, businessValidation, async (req, res) => {
       gst_number,
       upi_id,
       contact_details,
-      operating_hours
+      operating_hours,
+      invoice_settings,
+      reminder_settings,
+      loyalty_settings
     } = req.body;
 
+    const plan = getActivePlan(req.user);
+    if (reminder_settings && reminder_settings.enabled === true && !planIncludes(plan, REMINDER_PLANS.automatic)) {
+      return res.status(403).json({
+        success: false,
+        message: `Automatic payment reminders are not available on the ${plan} plan. Upgrade your subscription to use them.`,
+        details: { plan, upgradeRequired: true }
+      });
+    }
+
     // Update business details
     business.business_name = business_name;
     business.business_type = business_type;
@@ -159,6 +176,24 @@ router.put('/profile', auth, businessValidation, async (req, res) => {
     business.upi_id = upi_id;
     business.contact_details = contact_details || business.contact_details;
     business.operating_hours = operating_hours || business.operating_hours;
+    if (invoice_settings) {
+      if (invoice_settings.prefix !== undefined) business.invoice_settings.prefix = invoice_settings.prefix;
+      if (invoice_settings.credit_note_prefix !== undefined) business.invoice_settings.credit_note_prefix = invoice_settings.credit_note_prefix;
+      if (invoice_settings.number_format !== undefined) business.invoice_settings.number_format = invoice_settings.number_format;
+      if (invoice_settings.void_window_hours !== undefined) business.invoice_settings.void_window_hours = invoice_settings.void_window_hours;
+      if (invoice_settings.quotation_prefix !== undefined) business.invoice_settings.quotation_prefix = invoice_settings.quotation_prefix;
+      if (invoice_settings.quotation_validity_days !== undefined) business.invoice_settings.quotation_validity_days = invoice_settings.quotation_validity_days;
+    }
+    if (reminder_settings) {
+      ['enabled', 'channels', 'overdue_after_days', 'repeat_every_days', 'max_reminders', 'message_template']
+        .filter(key => reminder_settings[key] !== undefined)
+        .forEach(key => { business.reminder_settings[key] = reminder_settings[key]; });
+    }
+    if (loyalty_settings) {
+      ['enabled', 'earn_spend_amount', 'earn_points', 'point_value']
+        .filter(key => loyalty_settings[key] !== undefined)
+        .forEach(key => { business.loyalty_settings[key] = loyalty_settings[key]; });
+    }
 
     await business.save();
 
@@ -172,6 +207,16 @@ router.put('/profile', auth, businessValidation, async (req, res) => {
 
   } catch (error) {
     console.error('Update business profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update business profile'
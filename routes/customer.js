@@ -0,0 +1,645 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const PaymentReminder = require('../models/PaymentReminder');
+const LoyaltyPointsEntry = require('../models/LoyaltyPointsEntry');
+const { auth } = require('../middleware/auth');
+const { getLedger, getUnpaidInvoiceSummary } = require('../utils/ledgerService');
+const { roundMoney } = require('../utils/invoiceCalculator');
+const { AMOUNT_EPSILON } = require('../utils/paymentService');
+const { REMINDER_PLANS, sendReminderNow } = require('../utils/paymentReminderService');
+const { describePointsBalance } = require('../utils/loyaltyService');
+const { getCustomerInsights } = require('../utils/customerService');
+const { getActivePlan, planIncludes } = require('../utils/subscriptionPlan');
+const { sendError, escapeRegex } = require('../utils/routeHelpers');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const CUSTOMER_FIELDS = ['name', 'mobileNumber', 'email', 'gstNumber', 'billingAddress', 'shippingAddress', 'state', 'creditLimit'];
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Find a customer owned by the user; resolves to null for malformed IDs
+const findUserCustomer = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return Customer.findOne({ _id: id, userId });
+};
+
+// Customer details present in the request body
+const pickCustomerFields = (body) => CUSTOMER_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Read a ledger date filter. Plain dates (YYYY-MM-DD) are whole days in IST;
+// with endOfDay the result is the start of the following day.
+const parseLedgerDate = (value, label, endOfDay = false) => {
+  if (!value) return null;
+
+  const day = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = day
+    ? new Date(Date.UTC(Number(day[1]), Number(day[2]) - 1, Number(day[3])) - IST_OFFSET_MS + (endOfDay ? DAY_MS : 0))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new HttpError(`${label} must be a valid date`);
+  }
+  return date;
+};
+
+const sendCustomerError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A customer with this mobile number already exists'
+    });
+  }
+  sendError(res, error, fallbackMessage);
+};
+
+// @route   GET /api/customers
+// @desc    Get customers with pagination and search
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      sortBy = 'name',
+      sortOrder = 'asc'
+    } = req.query;
+
+    const query = { userId: req.user._id };
+
+    // Search by name, mobile number or GSTIN
+    if (search) {
+      query.$or = [
+        { name: { $regex: escapeRegex(search), $options: 'i' } },
+        { mobileNumber: { $regex: escapeRegex(search.replace(/\s+/g, '')) } },
+        { gstNumber: { $regex: escapeRegex(search), $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const customers = await Customer.find(query)
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalCustomers = await Customer.countDocuments(query);
+    const totalPages = Math.ceil(totalCustomers / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        customers,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCustomers,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customers',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/customers/receivables
+// @desc    Customers who owe money, largest balance first
+// @access  Private
+router.get('/receivables', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = {
+      userId: req.user._id,
+      outstandingBalance: { $gt: AMOUNT_EPSILON }
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const customers = await Customer.find(query)
+      .sort({ outstandingBalance: -1, _id: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const [summary] = await Customer.aggregate([
+      { $match: query },
+      { $group: { _id: null, totalOutstanding: { $sum: '$outstandingBalance' }, totalCustomers: { $sum: 1 } } }
+    ]);
+    const totalCustomers = summary ? summary.totalCustomers : 0;
+    const totalPages = Math.ceil(totalCustomers / parseInt(limit));
+
+    const unpaidByCustomer = await getUnpaidInvoiceSummary(req.user._id, customers.map(customer => customer._id));
+
+    const now = Date.now();
+    const receivables = customers.map(customer => {
+      const row = unpaidByCustomer.get(String(customer._id));
+      const outstandingBalance = roundMoney(customer.outstandingBalance);
+      return {
+        customerId: customer._id,
+        name: customer.name,
+        mobileNumber: customer.mobileNumber,
+        outstandingBalance,
+        creditLimit: customer.creditLimit,
+        overCreditLimit: customer.creditLimit !== null && customer.creditLimit !== undefined &&
+          outstandingBalance - customer.creditLimit > AMOUNT_EPSILON,
+        unpaidInvoices: row ? row.unpaidInvoices : 0,
+        oldestUnpaidInvoiceDate: row ? row.oldestUnpaidInvoiceDate : null,
+        daysOutstanding: row ? Math.floor((now - row.oldestUnpaidInvoiceDate.getTime()) / DAY_MS) : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        receivables,
+        totalOutstanding: summary ? roundMoney(summary.totalOutstanding) : 0,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCustomers,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get receivables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receivables',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/customers/mobile/:mobileNumber
+// @desc    Look up a customer by mobile number at the billing screen
+// @access  Private
+router.get('/mobile/:mobileNumber', auth, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      userId: req.user._id,
+      mobileNumber: Customer.normalizeMobile(req.params.mobileNumber)
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    console.error('Lookup customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up customer',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/customers/mobile/:mobileNumber/points
+// @desc    Loyalty points balance by mobile number at the billing screen
+// @access  Private
+router.get('/mobile/:mobileNumber/points', auth, async (req, res) => {
+  try {
+    const customer = await Customer.findOne({
+      userId: req.user._id,
+      mobileNumber: Customer.normalizeMobile(req.params.mobileNumber)
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        customerId: customer._id,
+        name: customer.name,
+        mobileNumber: customer.mobileNumber,
+        ...describePointsBalance(customer, business)
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty points error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loyalty points',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/customers/:id
+// @desc    Get a specific customer
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/customers/:id/ledger
+// @desc    Customer account statement with opening balance and running
+//          balance (?from=YYYY-MM-DD&to=YYYY-MM-DD, both inclusive)
+// @access  Private
+router.get('/:id/ledger', auth, async (req, res) => {
+  try {
+    const from = parseLedgerDate(req.query.from, 'from');
+    const to = parseLedgerDate(req.query.to, 'to', true);
+    if (from && to && to <= from) {
+      throw new HttpError('to cannot be before from');
+    }
+
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const ledger = await getLedger({
+      userId: req.user._id,
+      customerId: customer._id,
+      from,
+      to
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer: {
+          _id: customer._id,
+          name: customer.name,
+          mobileNumber: customer.mobileNumber,
+          creditLimit: customer.creditLimit,
+          outstandingBalance: roundMoney(customer.outstandingBalance)
+        },
+        from,
+        to,
+        ...ledger
+      }
+    });
+  } catch (error) {
+    console.error('Get customer ledger error:', error);
+    sendError(res, error, 'Failed to fetch customer ledger');
+  }
+});
+
+// @route   GET /api/customers/:id/insights
+// @desc    Purchase history: lifetime value, visits, average basket, last
+//          purchase and favourite products and categories (?limit=5)
+// @access  Private
+router.get('/:id/insights', auth, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      throw new HttpError('limit must be a whole number from 1 to 20');
+    }
+
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const insights = await getCustomerInsights({ customer, limit });
+
+    res.json({
+      success: true,
+      data: {
+        customer: {
+          _id: customer._id,
+          name: customer.name,
+          mobileNumber: customer.mobileNumber
+        },
+        ...insights
+      }
+    });
+  } catch (error) {
+    console.error('Get customer insights error:', error);
+    sendError(res, error, 'Failed to fetch customer insights');
+  }
+});
+
+// @route   GET /api/customers/:id/points
+// @desc    Loyalty points ledger, newest first, with the current balance
+// @access  Private
+router.get('/:id/points', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const query = { userId: req.user._id, customerId: customer._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const entries = await LoyaltyPointsEntry.find(query)
+      .sort({ entryDate: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalEntries = await LoyaltyPointsEntry.countDocuments(query);
+    const totalPages = Math.ceil(totalEntries / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        balance: describePointsBalance(customer, business),
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalEntries,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty points ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loyalty points ledger',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/customers/:id/reminders
+// @desc    Payment reminders sent to a customer, newest first
+// @access  Private
+router.get('/:id/reminders', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const query = { userId: req.user._id, customerId: customer._id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const reminders = await PaymentReminder.find(query)
+      .sort({ sentAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalReminders = await PaymentReminder.countDocuments(query);
+    const totalPages = Math.ceil(totalReminders / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        reminders,
+        lastReminderAt: customer.lastReminderAt,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReminders,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payment reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment reminders',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/customers/:id/reminders
+// @desc    Remind a customer of their outstanding balance now
+//          ({ channels } optional, defaults to the business's channels)
+// @access  Private (Pro plan and above)
+router.post('/:id/reminders', auth, async (req, res) => {
+  try {
+    const plan = getActivePlan(req.user);
+    if (!planIncludes(plan, REMINDER_PLANS.manual)) {
+      throw new HttpError(
+        `Payment reminders are not available on the ${plan} plan. Upgrade your subscription to use them.`,
+        403,
+        { plan, upgradeRequired: true }
+      );
+    }
+
+    const { channels } = req.body;
+    if (channels !== undefined && !Array.isArray(channels)) {
+      throw new HttpError('channels must be an array');
+    }
+
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    const delivery = await sendReminderNow({
+      business,
+      customer,
+      channels,
+      sentBy: req.user._id
+    });
+
+    let status = 200;
+    let message = 'Payment reminder sent successfully';
+    if (!delivery.sent && delivery.simulated) {
+      status = 501;
+      message = 'No delivery provider is set up for the selected channels; the reminder was only logged';
+    } else if (!delivery.sent) {
+      status = 502;
+      message = 'Payment reminder could not be sent';
+    }
+
+    res.status(status).json({
+      success: delivery.sent,
+      message,
+      data: {
+        amount: delivery.amount,
+        message: delivery.message,
+        upiLink: delivery.upiLink,
+        results: delivery.results
+      }
+    });
+  } catch (error) {
+    console.error('Send payment reminder error:', error);
+    sendError(res, error, 'Failed to send payment reminder');
+  }
+});
+
+// @route   POST /api/customers
+// @desc    Create a customer
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const business = await Business.findOne({ user_id: req.user._id });
+    const customer = await Customer.create({
+      ...pickCustomerFields(req.body),
+      userId: req.user._id,
+      businessId: business ? business._id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: {
+        customer
+      }
+    });
+  } catch (error) {
+    console.error('Create customer error:', error);
+    sendCustomerError(res, error, 'Failed to create customer');
+  }
+});
+
+// @route   PUT /api/customers/:id
+// @desc    Update a customer. Past invoices keep the details they were
+//          issued with.
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    customer.set(pickCustomerFields(req.body));
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: {
+        customer
+      }
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    sendCustomerError(res, error, 'Failed to update customer');
+  }
+});
+
+// @route   DELETE /api/customers/:id
+// @desc    Delete a customer who has no invoices
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const customer = await findUserCustomer(req.params.id, req.user._id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const hasInvoices = await Invoice.exists({ userId: req.user._id, customerId: customer._id });
+    if (hasInvoices) {
+      return res.status(409).json({
+        success: false,
+        message: 'A customer with invoices cannot be deleted'
+      });
+    }
+
+    await Customer.deleteOne({ _id: customer._id });
+
+    res.json({
+      success: true,
+      message: 'Customer deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete customer',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
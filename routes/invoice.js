@@ -1,137 +1,1225 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const CreditNote = require('../models/CreditNote');
+const InvoiceShareLink = require('../models/InvoiceShareLink');
 const { auth } = require('../middleware/auth');
+const { idempotency, markIdempotencyKeyCommitted } = require('../middleware/idempotency');
+const { generateDocumentNumber } = require('../utils/invoiceNumberService');
+const { roundMoney, calculateReturn } = require('../utils/invoiceCalculator');
+const { runInTransaction, issueInvoice, saveDraft, payloadFromDraft } = require('../utils/invoiceService');
+const { generateInvoicePdf } = require('../utils/invoicePdf');
+const { loadInvoiceTemplate } = require('../utils/invoiceTemplates');
+const { emailInvoice } = require('../utils/invoiceEmail');
+const { DEFAULT_EXPIRY_DAYS, MAX_EXPIRY_DAYS, generateToken, hashToken, buildShareUrl } = require('../utils/shareLinkService');
+const { QR_FORMATS, buildInvoiceUpiLink, generateUpiQr, getInvoiceUpiDetails } = require('../utils/upiService');
+const { PAPER_WIDTHS, generateTextReceipt, generateEscPosReceipt } = require('../utils/thermalReceipt');
+const { AMOUNT_EPSILON, normalizePayment, describePaymentMethods } = require('../utils/paymentService');
+const HttpError = require('../utils/httpError');
+const { sendError, escapeRegex } = require('../utils/routeHelpers');
+const { recordPayment, recordCreditNote, recordVoid } = require('../utils/ledgerService');
+const { reverseReturnPoints, reverseVoidPoints } = require('../utils/loyaltyService');
 
 const router = express.Router();
 
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Values the list filters accept, straight from the schema
+const INVOICE_STATUSES = Invoice.schema.path('status').enumValues;
+const PAYMENT_STATUSES = Invoice.schema.path('paymentStatus').enumValues;
+
+// Find an invoice owned by the user; resolves to null for malformed IDs
+const findUserInvoice = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return Invoice.findOne({ _id: id, userId });
+};
+
+// @route   GET /api/invoices
+// @desc    Get invoices with pagination and filters
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      invoiceNumber,
+      startDate,
+      endDate,
+      customerMobile,
+      customerId,
+      paymentMethod,
+      minAmount,
+      maxAmount,
+      status,
+      paymentStatus,
+      sortBy = 'invoiceDate',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Get user's business (optional for invoices)
+    const business = await Business.findOne({ user_id: req.user._id });
+    const businessId = business ? business._id : null;
+
+    // Filters go into the query as plain strings; nested query values such
+    // as status[$ne]=x would otherwise become operators
+    if (status && !INVOICE_STATUSES.includes(String(status))) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${INVOICE_STATUSES.join(', ')}`
+      });
+    }
+    if (paymentStatus && !PAYMENT_STATUSES.includes(String(paymentStatus))) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    // Build query
+    const query = {
+      userId: req.user._id,
+      businessId: businessId
+    };
+
+    // Search by invoice number or customer name
+    if (search) {
+      query.$or = [
+        { invoiceNumber: { $regex: escapeRegex(search), $options: 'i' } },
+        { 'customerInfo.name': { $regex: escapeRegex(search), $options: 'i' } }
+      ];
+    }
+
+    // Exact invoice number, e.g. INV/2425/00001
+    if (invoiceNumber) {
+      query.invoiceNumber = String(invoiceNumber).trim();
+    }
+
+    // Date range filter (endDate is inclusive of the whole day)
+    if (startDate || endDate) {
+      query.invoiceDate = {};
+      if (startDate) {
+        query.invoiceDate.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.invoiceDate.$lte = end;
+      }
+    }
+
+    // Held (draft) bills are only listed when asked for explicitly
+    query.status = status ? String(status) : { $ne: 'draft' };
+
+    if (paymentStatus) {
+      query.paymentStatus = String(paymentStatus);
+    }
+
+    if (customerMobile) {
+      query['customerInfo.mobileNumber'] = String(customerMobile).trim();
+    }
+
+    if (customerId) {
+      if (!mongoose.Types.ObjectId.isValid(customerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customerId'
+        });
+      }
+      query.customerId = customerId;
+    }
+
+    if (paymentMethod) {
+      query.paymentMethod = { $regex: `^${escapeRegex(paymentMethod)}$`, $options: 'i' };
+    }
+
+    // Amount range filter
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      query.totalAmount = {};
+      if (minAmount !== undefined) {
+        query.totalAmount.$gte = parseFloat(minAmount);
+      }
+      if (maxAmount !== undefined) {
+        query.totalAmount.$lte = parseFloat(maxAmount);
+      }
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    // Execute query
+    const invoices = await Invoice.find(query)
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    // Get total count for pagination
+    const totalInvoices = await Invoice.countDocuments(query);
+    const totalPages = Math.ceil(totalInvoices / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalInvoices,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/invoices/number/:invoiceNumber
+// @desc    Get a specific invoice by its percent-encoded invoice number (INV%2F2425%2F00001)
+// @access  Private
+router.get('/number/:invoiceNumber', auth, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      userId: req.user._id,
+      invoiceNumber: req.params.invoiceNumber
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        ...invoice.toJSON(),
+        upi: getInvoiceUpiDetails(invoice, business)
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice by number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get a specific invoice
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        ...invoice.toJSON(),
+        upi: getInvoiceUpiDetails(invoice, business)
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download a printable A4 tax invoice
+// @access  Private
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft invoices must be finalized before they can be printed'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const pdf = await generateInvoicePdf(invoice, business, await loadInvoiceTemplate(business));
+    const fileName = `${invoice.invoiceNumber.replace(/[^\w-]+/g, '_')}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Generate invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice PDF',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id/upi-qr
+// @desc    UPI payment QR code for the invoice amount (?format=png|svg)
+// @access  Private
+router.get('/:id/upi-qr', auth, async (req, res) => {
+  try {
+    const { format = 'png' } = req.query;
+
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid format (${QR_FORMATS.join(', ')}) is required`
+      });
+    }
+
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft invoices must be finalized before they can be printed'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const link = buildInvoiceUpiLink(invoice, business);
+
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business UPI ID is not configured'
+      });
+    }
+
+    const size = Math.min(Math.max(parseInt(req.query.size) || 300, 100), 1000);
+    const qr = await generateUpiQr(link, format, { size });
+
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(qr);
+  } catch (error) {
+    console.error('Generate UPI QR error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate UPI QR code',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id/receipt
+// @desc    Thermal printer receipt (?width=58|80&format=escpos|text)
+// @access  Private
+router.get('/:id/receipt', auth, async (req, res) => {
+  try {
+    const { width = '58', format = 'text' } = req.query;
+    const paperWidth = parseInt(width);
+
+    if (!PAPER_WIDTHS[paperWidth] || !['escpos', 'text'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid width (${Object.keys(PAPER_WIDTHS).join(', ')}) and format (escpos, text) are required`
+      });
+    }
+
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft invoices must be finalized before they can be printed'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const fileName = invoice.invoiceNumber.replace(/[^\w-]+/g, '_');
+
+    if (format === 'escpos') {
+      const receipt = generateEscPosReceipt(invoice, business, paperWidth);
+      res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${fileName}.bin"`,
+        'Content-Length': receipt.length
+      });
+      return res.send(receipt);
+    }
+
+    res.type('text/plain; charset=utf-8');
+    res.send(generateTextReceipt(invoice, business, paperWidth));
+  } catch (error) {
+    console.error('Generate receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: error.message
+    });
+  }
+});
+
+// Create an invoice from the request body; with status "draft" the bill is
+// held without touching stock
+const createInvoiceHandler = async (req, res) => {
+  try {
+    const business = await Business.findOne({ user_id: req.user._id });
+
+    // The Idempotency-Key is committed together with the invoice so a retry
+    // can never bill the same sale twice
+    if (req.body.status === 'draft') {
+      const draft = await runInTransaction(null, async (session) => {
+        const saved = await saveDraft({ userId: req.user._id, business, payload: req.body, session });
+        await markIdempotencyKeyCommitted(req, session);
+        return saved;
+      });
+      return res.status(201).json({
+        success: true,
+        message: 'Draft invoice saved',
+        data: {
+          invoice: draft
+        }
+      });
+    }
+
+    const { invoice, stockUpdates } = await runInTransaction(null, async (session) => {
+      const issued = await issueInvoice({
+        userId: req.user._id,
+        business,
+        payload: req.body,
+        session
+      });
+      await markIdempotencyKeyCommitted(req, session);
+      return issued;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice created successfully and stock updated',
+      data: {
+        invoice,
+        stockUpdates,
+        upi: getInvoiceUpiDetails(invoice, business)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    sendError(res, error, 'Failed to create invoice');
+  }
+};
+
+// @route   POST /api/invoices
+// @desc    Create invoice (or save a draft with status: 'draft')
+// @access  Private
+router.post('/', auth, idempotency, createInvoiceHandler);
+
 // @route   POST /api/invoices/create
 // @desc    Create invoice and update product stock quantities
 // @access  Private
-router.post('/create', auth, async (req, res) => {
+router.post('/create', auth, idempotency, createInvoiceHandler);
+
+// @route   PUT /api/invoices/:id
+// @desc    Update a draft invoice
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
   try {
-    const { items, customerInfo, totalAmount, paymentMethod, discountAmount, discountType } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const draft = await saveDraft({
+      userId: req.user._id,
+      business,
+      payload: req.body,
+      draftId: req.params.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Draft invoice updated',
+      data: {
+        invoice: draft
+      }
+    });
+  } catch (error) {
+    console.error('Update draft invoice error:', error);
+    sendError(res, error, 'Failed to update draft invoice');
+  }
+});
+
+// @route   DELETE /api/invoices/:id
+// @desc    Discard a draft invoice
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft invoices can be deleted. Void the invoice instead.'
+      });
+    }
+
+    await Invoice.deleteOne({ _id: invoice._id, status: 'draft' });
+
+    res.json({
+      success: true,
+      message: 'Draft invoice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete draft invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete draft invoice',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/finalize
+// @desc    Finalize a draft: check and decrement stock and assign the invoice number
+// @access  Private
+router.post('/:id/finalize', auth, idempotency, async (req, res) => {
+  try {
+    const draft = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (draft.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft invoices can be finalized'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const { invoice, stockUpdates } = await runInTransaction(null, async (session) => {
+      const issued = await issueInvoice({
+        userId: req.user._id,
+        business,
+        payload: payloadFromDraft(draft, req.body),
+        draftId: draft._id,
+        session
+      });
+      await markIdempotencyKeyCommitted(req, session);
+      return issued;
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice finalized successfully and stock updated',
+      data: {
+        invoice,
+        stockUpdates,
+        upi: getInvoiceUpiDetails(invoice, business)
+      }
+    });
+  } catch (error) {
+    console.error('Finalize invoice error:', error);
+    sendError(res, error, 'Failed to finalize invoice');
+  }
+});
+
+
+// @route   POST /api/invoices/:id/void
+// @desc    Void (cancel) an invoice and restore the stock it sold
+// @access  Private
+router.post('/:id/void', auth, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (reason.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason (at least 3 characters) is required to void an invoice'
+      });
+    }
+
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft invoices cannot be voided. Delete the draft instead.'
+      });
+    }
+
+    if (invoice.items.some(item => item.returnedQuantity > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice has returns recorded against it and cannot be voided. Record a return for the remaining items instead.'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const windowHours = business ? business.invoice_settings.void_window_hours : 24;
+    const voidDeadline = new Date(invoice.invoiceDate.getTime() + windowHours * 60 * 60 * 1000);
+
+    if (new Date() > voidDeadline) {
+      return res.status(403).json({
+        success: false,
+        message: `Invoices can only be voided within ${windowHours} hours of issue`
+      });
+    }
+
+    // Total quantity sold per product, as recorded on the invoice
+    const soldQuantities = new Map();
+    invoice.items.forEach(item => {
+      const key = String(item.productId);
+      const entry = soldQuantities.get(key) || { productId: item.productId, productName: item.productName, quantity: 0 };
+      entry.quantity += item.quantity;
+      soldQuantities.set(key, entry);
+    });
+
+    const session = await Product.startSession();
+    let voidedInvoice;
+
+    try {
+      await session.withTransaction(async () => {
+        const stockRestored = [];
+
+        for (const { productId, productName, quantity } of soldQuantities.values()) {
+          // Products deleted since the sale cannot be restocked
+          const updateResult = await Product.updateOne(
+            { _id: productId, userId: req.user._id },
+            {
+              $inc: { stockQuantity: quantity },
+              $set: { updatedAt: new Date() }
+            },
+            { session }
+          );
+
+          stockRestored.push({
+            productId,
+            productName,
+            quantity,
+            restored: updateResult.modifiedCount > 0
+          });
+        }
+
+        // The status condition makes concurrent void requests fail instead
+        // of restoring the stock twice
+        voidedInvoice = await Invoice.findOneAndUpdate(
+          { _id: invoice._id, userId: req.user._id, status: 'issued' },
+          {
+            $set: {
+              status: 'void',
+              voidInfo: {
+                reason,
+                voidedAt: new Date(),
+                voidedBy: req.user._id,
+                stockRestored
+              }
+            }
+          },
+          { new: true, session }
+        );
+
+        if (!voidedInvoice) {
+          throw new HttpError('Invoice is already void', 409);
+        }
+
+        await recordVoid({ invoice: voidedInvoice, session });
+        if (await reverseVoidPoints({ invoice: voidedInvoice, session })) {
+          await voidedInvoice.save({ session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice voided successfully and stock restored',
+      data: {
+        invoice: voidedInvoice,
+        stockRestored: voidedInvoice.voidInfo.stockRestored
+      }
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    sendError(res, error, 'Failed to void invoice');
+  }
+});
+
+// @route   POST /api/invoices/:id/send
+// @desc    Email the invoice PDF to the customer (or to the address given)
+// @access  Private
+router.post('/:id/send', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft invoices must be finalized before they can be sent'
+      });
+    }
+
+    const recipient = String(req.body.email || invoice.customerInfo.email || '').trim().toLowerCase();
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: 'The customer has no email address. Provide one in the request.'
+      });
+    }
+
+    if (!EMAIL_REGEX.test(recipient)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    if (req.body.message !== undefined && String(req.body.message).length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot exceed 1000 characters'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const entry = await emailInvoice({
+      invoice,
+      business,
+      recipient,
+      message: req.body.message,
+      sentBy: req.user._id
+    });
+
+    if (entry.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send the invoice email',
+        error: entry.error,
+        data: {
+          email: entry
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Invoice sent to ${recipient}`,
+      data: {
+        email: entry
+      }
+    });
+  } catch (error) {
+    console.error('Send invoice error:', error);
+    sendError(res, error, 'Failed to send invoice');
+  }
+});
+
+// @route   POST /api/invoices/:id/share-links
+// @desc    Create a public link to view the invoice (optional expiresInDays)
+// @access  Private
+router.post('/:id/share-links', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Draft invoices must be finalized before they can be shared'
+      });
+    }
+
+    const days = req.body.expiresInDays !== undefined ? Number(req.body.expiresInDays) : DEFAULT_EXPIRY_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    const token = generateToken();
+    const link = await InvoiceShareLink.create({
+      invoiceId: invoice._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      createdBy: req.user._id,
+      userId: req.user._id,
+      businessId: invoice.businessId
+    });
+
+    // The token is only ever returned here; it is stored hashed
+    const url = buildShareUrl(req, token);
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      data: {
+        id: link._id,
+        url,
+        pdfUrl: `${url}/pdf`,
+        expiresAt: link.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    sendError(res, error, 'Failed to create share link');
+  }
+});
+
+// @route   GET /api/invoices/:id/share-links
+// @desc    List share links for an invoice with their view counts
+// @access  Private
+router.get('/:id/share-links', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const links = await InvoiceShareLink.find({ invoiceId: invoice._id, userId: req.user._id })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        links
+      }
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch share links',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/invoices/:id/share-links/:linkId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/:id/share-links/:linkId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.linkId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const link = await InvoiceShareLink.findOneAndUpdate(
+      { _id: req.params.linkId, invoiceId: req.params.id, userId: req.user._id },
+      { $set: { revokedAt: new Date() } },
+      { new: true, projection: { tokenHash: 0 } }
+    );
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: {
+        link
+      }
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/payments
+// @desc    Record a payment received against an invoice
+// @access  Private
+router.post('/:id/payments', auth, async (req, res) => {
+  try {
+    const payment = normalizePayment(req.body, req.user._id);
+
+    if (payment.method === 'credit') {
+      return res.status(400).json({
+        success: false,
+        message: 'Credit is not a payment. Record the cash, UPI or card amount received instead.'
+      });
+    }
+
+    if (payment.method === 'points') {
+      return res.status(400).json({
+        success: false,
+        message: 'Loyalty points can only be redeemed when the invoice is created.'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const session = await Invoice.startSession();
+    let invoice;
+
+    try {
+      // Read and write inside a transaction so two concurrent payments
+      // cannot both pass the balance check
+      await session.withTransaction(async () => {
+        invoice = await Invoice.findOne({
+          _id: req.params.id,
+          userId: req.user._id
+        }).session(session);
+
+        if (!invoice) {
+          throw new HttpError('Invoice not found', 404);
+        }
+
+        if (invoice.status !== 'issued') {
+          throw new HttpError(`Cannot record a payment on a ${invoice.status} invoice`, 409);
+        }
+
+        if (payment.amount - invoice.balanceDue > AMOUNT_EPSILON) {
+          throw new HttpError(`Payment of ${payment.amount} exceeds the balance due of ${invoice.balanceDue}`, 422);
+        }
+
+        invoice.payments.push(payment);
+        invoice.paymentMethod = describePaymentMethods(invoice.payments);
+        await invoice.save({ session });
+        await recordPayment({ invoice, payment, session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        invoice,
+        payment: invoice.payments[invoice.payments.length - 1]
+      }
+    });
+  } catch (error) {
+    console.error('Record invoice payment error:', error);
+    sendError(res, error, 'Failed to record payment');
+  }
+});
+
+// @route   GET /api/invoices/:id/returns
+// @desc    Get credit notes issued against an invoice
+// @access  Private
+router.get('/:id/returns', auth, async (req, res) => {
+  try {
+    const invoice = await findUserInvoice(req.params.id, req.user._id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const creditNotes = await CreditNote.find({
+      invoiceId: invoice._id,
+      userId: req.user._id
+    }).sort({ creditNoteDate: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        creditNotes,
+        creditedAmount: invoice.creditedAmount
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice returns',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/returns
+// @desc    Return some or all items of an invoice and issue a credit note
+// @access  Private
+router.post('/:id/returns', auth, async (req, res) => {
+  try {
+    const { items, reason } = req.body;
 
-    // Validate required fields
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Items are required'
+        message: 'Items to return are required'
       });
     }
 
-    if (!customerInfo || !customerInfo.name || !customerInfo.mobileNumber) {
+    const invalidItem = items.find(item =>
+      !item || (!mongoose.Types.ObjectId.isValid(item.itemId) && !mongoose.Types.ObjectId.isValid(item.productId)) ||
+      !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0 ||
+      (item.restockTo !== undefined && !['sellable', 'damaged'].includes(item.restockTo))
+    );
+    if (invalidItem) {
       return res.status(400).json({
         success: false,
-        message: 'Customer information (name and mobile number) is required'
+        message: 'Each item requires an itemId (or productId), a positive whole-number quantity and an optional restockTo of sellable or damaged'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
       });
     }
 
-    // Start a session for transaction to ensure data consistency
+    const business = await Business.findOne({ user_id: req.user._id });
     const session = await Product.startSession();
-    
+    let creditNote;
+    let stockUpdates;
+
     try {
       await session.withTransaction(async () => {
-        // Check stock availability for all items first
-        for (const item of items) {
-          const product = await Product.findOne({
-            _id: item.productId,
-            userId: req.user._id
-          }).session(session);
+        const invoice = await Invoice.findOne({
+          _id: req.params.id,
+          userId: req.user._id
+        }).session(session);
 
-          if (!product) {
-            throw new Error(`Product with ID ${item.productId} not found`);
+        if (!invoice) {
+          throw new HttpError('Invoice not found', 404);
+        }
+
+        if (invoice.status !== 'issued') {
+          throw new HttpError(`Cannot return items on a ${invoice.status} invoice`, 409);
+        }
+
+        // Match each requested item to an invoice line
+        const seenLines = new Set();
+        const requested = items.map(entry => {
+          const line = entry.itemId
+            ? invoice.items.id(entry.itemId)
+            : invoice.items.find(item => String(item.productId) === String(entry.productId));
+
+          if (!line) {
+            throw new HttpError(`Item ${entry.itemId || entry.productId} is not on this invoice`, 404);
+          }
+          if (seenLines.has(String(line._id))) {
+            throw new HttpError(`${line.productName} is listed more than once in the return`);
           }
+          seenLines.add(String(line._id));
 
-          if (product.stockQuantity < item.quantity) {
-            throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Required: ${item.quantity}`);
+          const quantity = Number(entry.quantity);
+          const returnable = line.quantity - (line.returnedQuantity || 0);
+          if (quantity > returnable) {
+            throw new HttpError(`Cannot return ${quantity} of ${line.productName}. Returnable quantity: ${returnable}`, 409);
           }
-        }
 
-        // If all stock checks pass, update the quantities
-        const stockUpdates = [];
-        for (const item of items) {
+          return { line, quantity, restockTo: entry.restockTo || 'sellable' };
+        });
+
+        // Amounts already credited per line, so the last return of a line
+        // reverses exactly what is left of it
+        const previousNotes = await CreditNote.find({ invoiceId: invoice._id }).session(session);
+        const credited = new Map();
+        previousNotes.forEach(note => note.items.forEach(item => {
+          const key = String(item.invoiceItemId);
+          const totals = credited.get(key) || {};
+          ['taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'cessAmount'].forEach(field => {
+            totals[field] = (totals[field] || 0) + (item[field] || 0);
+          });
+          credited.set(key, totals);
+        }));
+
+        const totals = calculateReturn({
+          lines: requested.map(({ line, quantity }) => ({
+            item: line,
+            quantity,
+            credited: credited.get(String(line._id))
+          })),
+          invoice
+        });
+
+        // Put returned units back into sellable or damaged stock
+        stockUpdates = [];
+        for (const { line, quantity, restockTo } of requested) {
+          const field = restockTo === 'damaged' ? 'damagedQuantity' : 'stockQuantity';
           const updateResult = await Product.updateOne(
-            { 
-              _id: item.productId,
-              userId: req.user._id 
-            },
-            { 
-              $inc: { stockQuantity: -item.quantity },
+            { _id: line.productId, userId: req.user._id },
+            {
+              $inc: { [field]: quantity },
               $set: { updatedAt: new Date() }
             },
             { session }
           );
 
-          if (updateResult.modifiedCount === 0) {
-            throw new Error(`Failed to update stock for product ${item.productId}`);
-          }
-
-          // Get updated product for response
-          const updatedProduct = await Product.findById(item.productId).session(session);
           stockUpdates.push({
-            productId: item.productId,
-            productName: updatedProduct.name,
-            oldStock: updatedProduct.stockQuantity + item.quantity,
-            newStock: updatedProduct.stockQuantity,
-            quantitySold: item.quantity
+            productId: line.productId,
+            productName: line.productName,
+            quantityReturned: quantity,
+            restockTo,
+            restocked: updateResult.modifiedCount > 0
           });
         }
 
-        // Generate invoice number
-        const invoiceNumber = `INV-${Date.now()}`;
-
-        // Create invoice data (for now we'll just return it, later we can save to database)
-        const invoice = {
-          invoiceNumber,
-          invoiceDate: new Date(),
-          customerInfo,
-          items: items.map(item => {
-            const updatedProduct = stockUpdates.find(u => u.productId === item.productId);
-            return {
-              ...item,
-              productName: updatedProduct.productName
-            };
-          }),
-          subtotal: items.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-          discountAmount: discountAmount || 0,
-          discountType: discountType || 'flat',
-          totalAmount,
-          paymentMethod,
-          stockUpdates,
-          createdAt: new Date(),
-          userId: req.user._id
-        };
-
-        res.json({
-          success: true,
-          message: 'Invoice created successfully and stock updated',
-          data: {
-            invoice,
-            stockUpdates
-          }
+        const creditNoteDate = new Date();
+        const creditNoteNumber = await generateDocumentNumber({
+          userId: req.user._id,
+          business,
+          series: 'credit_note',
+          date: creditNoteDate,
+          session
+        });
+
+        [creditNote] = await CreditNote.create([{
+          creditNoteNumber,
+          creditNoteDate,
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceDate: invoice.invoiceDate,
+          reason: typeof reason === 'string' ? reason.trim() : undefined,
+          customerInfo: invoice.customerInfo,
+          supplyType: invoice.supplyType,
+          placeOfSupply: invoice.placeOfSupply,
+          ...totals,
+          items: totals.items.map((item, index) => ({ ...item, restockTo: requested[index].restockTo })),
+          userId: req.user._id,
+          businessId: invoice.businessId
+        }], { session });
+
+        await recordCreditNote({ invoice, creditNote, session });
+
+        requested.forEach(({ line, quantity }) => {
+          line.returnedQuantity = (line.returnedQuantity || 0) + quantity;
         });
+        invoice.creditedAmount = roundMoney((invoice.creditedAmount || 0) + creditNote.totalAmount);
+        await reverseReturnPoints({ invoice, creditNote, session });
+        await invoice.save({ session });
       });
-    } catch (error) {
-      // Transaction will be automatically aborted on error
-      throw error;
     } finally {
       await session.endSession();
     }
 
-  } catch (error) {
-    console.error('Create invoice error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to create invoice',
-      error: error.message
+    res.status(201).json({
+      success: true,
+      message: 'Return recorded and credit note issued',
+      data: {
+        creditNote,
+        stockUpdates
+      }
     });
+  } catch (error) {
+    console.error('Create invoice return error:', error);
+    sendError(res, error, 'Failed to record return');
   }
 });
 
 // @route   POST /api/invoices/update-stock
 // @desc    Update product stock quantities (bulk update)
 // @access  Private
-router.post('/update-stock', auth, async (req, res) => {
+router.post('/update-stock', auth, idempotency, async (req, res) => {
   try {
     const { stockUpdates } = req.body;
 
@@ -143,10 +1231,11 @@ router.post('/update-stock', auth, async (req, res) => {
     }
 
     const session = await Product.startSession();
-    
+    let results;
+
     try {
       await session.withTransaction(async () => {
-        const results = [];
+        results = [];
 
         for (const update of stockUpdates) {
           const { productId, quantityChange } = update;
@@ -194,27 +1283,23 @@ router.post('/update-stock', auth, async (req, res) => {
           });
         }
 
-        res.json({
-          success: true,
-          message: 'Stock updated successfully',
-          data: {
-            updates: results
-          }
-        });
+        await markIdempotencyKeyCommitted(req, session);
       });
-    } catch (error) {
-      throw error;
     } finally {
       await session.endSession();
     }
 
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: {
+        updates: results
+      }
+    });
+
   } catch (error) {
     console.error('Update stock error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to update stock',
-      error: error.message
-    });
+    sendError(res, error, 'Failed to update stock');
   }
 });
 
@@ -0,0 +1,270 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const Business = require('../models/Business');
+const { auth } = require('../middleware/auth');
+const { decodeImage } = require('../utils/invoicePdf');
+const { getTemplateAccess, assertTemplateAllowed } = require('../utils/invoiceTemplates');
+const { getActivePlan } = require('../utils/subscriptionPlan');
+const { sendError } = require('../utils/routeHelpers');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['name', 'layout', 'colors', 'headerText', 'footerText', 'terms', 'columns', 'signatureImage'];
+
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+
+// Find a template owned by the user; resolves to null for malformed IDs
+const findUserTemplate = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return InvoiceTemplate.findOne({ _id: id, userId });
+};
+
+// Template settings present in the request body
+const pickTemplateFields = (body) => TEMPLATE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Signatures are embedded in every PDF, so only small PNG or JPEG images
+const validateSignature = (signatureImage) => {
+  if (!signatureImage) return;
+
+  const image = decodeImage(signatureImage);
+  if (!image) {
+    throw new HttpError('Signature image must be a base64 encoded PNG or JPEG');
+  }
+  if (image.length > MAX_SIGNATURE_BYTES) {
+    throw new HttpError(`Signature image cannot be larger than ${MAX_SIGNATURE_BYTES / 1024} KB`);
+  }
+};
+
+const sendTemplateError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A template with this name already exists'
+    });
+  }
+  sendError(res, error, fallbackMessage);
+};
+
+// @route   GET /api/invoice-templates
+// @desc    Get invoice templates, the selected one and what the plan allows
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const business = await Business.findOne({ user_id: req.user._id });
+    const templates = await InvoiceTemplate.find({ userId: req.user._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        selectedTemplateId: business ? business.invoice_settings.template_id : null,
+        access: getTemplateAccess(getActivePlan(req.user))
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice templates',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/invoice-templates/default
+// @desc    Select the template used for the business's invoices; a null
+//          templateId goes back to the built-in look
+// @access  Private
+router.put('/default', auth, async (req, res) => {
+  try {
+    const { templateId } = req.body;
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business profile not found'
+      });
+    }
+
+    let template = null;
+    if (templateId) {
+      template = await findUserTemplate(templateId, req.user._id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+    }
+
+    business.invoice_settings.template_id = template ? template._id : null;
+    await business.save();
+
+    res.json({
+      success: true,
+      message: template ? `"${template.name}" is now used for your invoices` : 'Invoices now use the standard template',
+      data: {
+        selectedTemplateId: business.invoice_settings.template_id
+      }
+    });
+  } catch (error) {
+    console.error('Select invoice template error:', error);
+    sendError(res, error, 'Failed to select invoice template');
+  }
+});
+
+// @route   GET /api/invoice-templates/:id
+// @desc    Get a specific invoice template
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get invoice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice template',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/invoice-templates
+// @desc    Create an invoice template; pass setAsDefault to use it right away
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const plan = getActivePlan(req.user);
+    const { maxTemplates } = getTemplateAccess(plan);
+
+    if (maxTemplates !== null) {
+      const count = await InvoiceTemplate.countDocuments({ userId: req.user._id });
+      if (count >= maxTemplates) {
+        throw new HttpError(
+          `The ${plan} plan allows up to ${maxTemplates} invoice template${maxTemplates === 1 ? '' : 's'}. Upgrade your subscription to add more.`,
+          403,
+          { plan, upgradeRequired: true }
+        );
+      }
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const template = new InvoiceTemplate({
+      ...pickTemplateFields(req.body),
+      userId: req.user._id,
+      businessId: business ? business._id : null
+    });
+
+    validateSignature(template.signatureImage);
+    assertTemplateAllowed(template, plan);
+    await template.save();
+
+    if (req.body.setAsDefault && business) {
+      business.invoice_settings.template_id = template._id;
+      await business.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice template created successfully',
+      data: {
+        template,
+        selectedTemplateId: business ? business.invoice_settings.template_id : null
+      }
+    });
+  } catch (error) {
+    console.error('Create invoice template error:', error);
+    sendTemplateError(res, error, 'Failed to create invoice template');
+  }
+});
+
+// @route   PUT /api/invoice-templates/:id
+// @desc    Update an invoice template
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    template.set(pickTemplateFields(req.body));
+    validateSignature(template.signatureImage);
+    assertTemplateAllowed(template, getActivePlan(req.user));
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice template updated successfully',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Update invoice template error:', error);
+    sendTemplateError(res, error, 'Failed to update invoice template');
+  }
+});
+
+// @route   DELETE /api/invoice-templates/:id
+// @desc    Delete an invoice template; invoices fall back to the standard
+//          template if it was selected
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    await InvoiceTemplate.deleteOne({ _id: template._id });
+    await Business.updateOne(
+      { user_id: req.user._id, 'invoice_settings.template_id': template._id },
+      { $set: { 'invoice_settings.template_id': null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Invoice template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete invoice template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete invoice template',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
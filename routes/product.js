@@ -1,7 +1,11 @@
 const express = require('express');
 const Product = require('../models/Product');
 const Business = require('../models/Business');
+const SyncTombstone = require('../models/SyncTombstone');
 const { auth } = require('../middleware/auth');
+const { idempotency, markIdempotencyKeyCommitted } = require('../middleware/idempotency');
+const { GST_RATE_SLABS } = require('../utils/gstService');
+const { sendError } = require('../utils/routeHelpers');
 const router = express.Router();
 
 // GET /api/products - Get all products for the authenticated user
@@ -24,7 +28,8 @@ router.get('/', auth, async (req, res) => {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } }
+        { sku: { $regex: search, $options: 'i' } },
+        { hsnCode: { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -125,6 +130,16 @@ router.get('/low-stock', auth, async (req, res) => {
   }
 });
 
+// GET /api/products/tax-slabs - Get the allowed GST rate slabs
+router.get('/tax-slabs', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      tax_slabs: GST_RATE_SLABS
+    }
+  });
+});
+
 // GET /api/products/:id - Get a specific product
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -170,7 +185,9 @@ router.post('/', auth, async (req, res) => {
       cost,
       unit,
       sku,
+      hsnCode,
       taxRate,
+      cessRate,
       stockQuantity,
       minimumStock
     } = req.body;
@@ -206,7 +223,9 @@ router.post('/', auth, async (req, res) => {
       cost: cost ? parseFloat(cost) : 0,
       unit: unit?.trim() || 'piece',
       sku: sku?.trim(),
+      hsnCode: hsnCode ? String(hsnCode).trim() : null,
       taxRate: taxRate ? parseFloat(taxRate) : 0,
+      cessRate: cessRate ? parseFloat(cessRate) : 0,
       stockQuantity: stockQuantity ? parseInt(stockQuantity) : 0,
       minimumStock: minimumStock ? parseInt(minimumStock) : 0,
       userId: req.user._id,
@@ -258,7 +277,9 @@ router.put('/:id', auth, async (req, res) => {
       cost,
       unit,
       sku,
+      hsnCode,
       taxRate,
+      cessRate,
       stockQuantity,
       minimumStock,
       isActive
@@ -301,7 +322,9 @@ router.put('/:id', auth, async (req, res) => {
     if (cost !== undefined) product.cost = parseFloat(cost);
     if (unit !== undefined) product.unit = unit.trim();
     if (sku !== undefined) product.sku = sku?.trim();
+    if (hsnCode !== undefined) product.hsnCode = hsnCode ? String(hsnCode).trim() : null;
     if (taxRate !== undefined) product.taxRate = parseFloat(taxRate);
+    if (cessRate !== undefined) product.cessRate = parseFloat(cessRate) || 0;
     if (stockQuantity !== undefined) product.stockQuantity = parseInt(stockQuantity);
     if (minimumStock !== undefined) product.minimumStock = parseInt(minimumStock);
     if (isActive !== undefined) product.isActive = Boolean(isActive);
@@ -360,6 +383,14 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    // Let offline clients know to drop the product on their next sync
+    await SyncTombstone.create({
+      entityType: 'product',
+      entityId: product._id,
+      userId: req.user._id,
+      businessId
+    });
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -375,7 +406,7 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // POST /api/products/:id/update-stock - Update product stock
-router.post('/:id/update-stock', auth, async (req, res) => {
+router.post('/:id/update-stock', auth, idempotency, async (req, res) => {
   try {
     const { quantity, operation = 'set' } = req.body;
 
@@ -390,11 +421,40 @@ router.post('/:id/update-stock', auth, async (req, res) => {
     const business = await Business.findOne({ user_id: req.user._id });
     const businessId = business ? business._id : null;
 
-    const product = await Product.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      businessId: businessId
-    });
+    const qty = parseInt(quantity);
+    const session = await Product.startSession();
+    let product;
+
+    try {
+      // Save the stock together with the Idempotency-Key so a retry cannot
+      // apply the change twice
+      await session.withTransaction(async () => {
+        product = await Product.findOne({
+          _id: req.params.id,
+          userId: req.user._id,
+          businessId: businessId
+        }).session(session);
+
+        if (!product) return;
+
+        switch (operation) {
+          case 'set':
+            product.stockQuantity = qty;
+            break;
+          case 'add':
+            product.stockQuantity += qty;
+            break;
+          case 'subtract':
+            product.stockQuantity = Math.max(0, product.stockQuantity - qty);
+            break;
+        }
+
+        await product.save({ session });
+        await markIdempotencyKeyCommitted(req, session);
+      });
+    } finally {
+      await session.endSession();
+    }
 
     if (!product) {
       return res.status(404).json({
@@ -403,22 +463,6 @@ router.post('/:id/update-stock', auth, async (req, res) => {
       });
     }
 
-    const qty = parseInt(quantity);
-    
-    switch (operation) {
-      case 'set':
-        product.stockQuantity = qty;
-        break;
-      case 'add':
-        product.stockQuantity += qty;
-        break;
-      case 'subtract':
-        product.stockQuantity = Math.max(0, product.stockQuantity - qty);
-        break;
-    }
-
-    await product.save();
-
     res.json({
       success: true,
       message: 'Stock updated successfully',
@@ -430,11 +474,7 @@ router.post('/:id/update-stock', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Update stock error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update stock',
-      error: error.message
-    });
+    sendError(res, error, 'Failed to update stock');
   }
 });
 
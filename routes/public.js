@@ -0,0 +1,107 @@
+const express = require('express');
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const { generateInvoicePdf } = require('../utils/invoicePdf');
+const { escapeHtml, generateInvoiceHtml } = require('../utils/invoiceHtml');
+const { findLinkByToken, recordView } = require('../utils/shareLinkService');
+const { loadInvoiceTemplate } = require('../utils/invoiceTemplates');
+
+const router = express.Router();
+
+// Shared links carry their token in the URL: keep them out of caches, search
+// engines and Referer headers
+const setPrivateHeaders = (res) => res.set({
+  'Cache-Control': 'private, no-store',
+  'X-Robots-Tag': 'noindex, nofollow',
+  'Referrer-Policy': 'no-referrer'
+});
+
+const sendErrorPage = (res, status, message) => {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Invoice unavailable</title></head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 60px 16px; color: #444;">
+  <h2>Invoice unavailable</h2>
+  <p>${escapeHtml(message)}</p>
+</body>
+</html>
+`);
+};
+
+// Resolve a public token to its invoice and business, answering with an error
+// page when the link is unknown, expired or revoked
+const loadSharedInvoice = async (req, res) => {
+  setPrivateHeaders(res);
+
+  const link = await findLinkByToken(req.params.token);
+  if (!link) {
+    sendErrorPage(res, 404, 'This link is not valid.');
+    return null;
+  }
+  if (link.revokedAt) {
+    sendErrorPage(res, 410, 'This link has been disabled by the sender.');
+    return null;
+  }
+  if (link.expiresAt <= new Date()) {
+    sendErrorPage(res, 410, 'This link has expired. Please ask the sender for a new one.');
+    return null;
+  }
+
+  const invoice = await Invoice.findOne({ _id: link.invoiceId, userId: link.userId });
+  if (!invoice || invoice.status === 'draft') {
+    sendErrorPage(res, 404, 'This invoice is no longer available.');
+    return null;
+  }
+
+  const business = await Business.findOne({ user_id: link.userId });
+  return { link, invoice, business };
+};
+
+// @route   GET /public/invoices/:token
+// @desc    View a shared invoice in the browser
+// @access  Public
+router.get('/invoices/:token', async (req, res) => {
+  try {
+    const shared = await loadSharedInvoice(req, res);
+    if (!shared) return;
+
+    const { link, invoice, business } = shared;
+    const html = await generateInvoiceHtml(invoice, business, {
+      pdfUrl: `${req.baseUrl}/invoices/${req.params.token}/pdf`,
+      template: await loadInvoiceTemplate(business)
+    });
+    await recordView(link, req, 'html');
+
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Public invoice view error:', error);
+    sendErrorPage(res, 500, 'Something went wrong. Please try again later.');
+  }
+});
+
+// @route   GET /public/invoices/:token/pdf
+// @desc    Download a shared invoice as PDF
+// @access  Public
+router.get('/invoices/:token/pdf', async (req, res) => {
+  try {
+    const shared = await loadSharedInvoice(req, res);
+    if (!shared) return;
+
+    const { link, invoice, business } = shared;
+    const pdf = await generateInvoicePdf(invoice, business, await loadInvoiceTemplate(business));
+    await recordView(link, req, 'pdf');
+
+    const fileName = `${invoice.invoiceNumber.replace(/[^\w-]+/g, '_')}.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Public invoice PDF error:', error);
+    sendErrorPage(res, 500, 'Something went wrong. Please try again later.');
+  }
+});
+
+module.exports = router;
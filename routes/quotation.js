@@ -0,0 +1,414 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const Business = require('../models/Business');
+const { auth } = require('../middleware/auth');
+const { generateDocumentNumber } = require('../utils/invoiceNumberService');
+const { AMOUNT_EPSILON } = require('../utils/paymentService');
+const { runInTransaction, validateInvoicePayload, priceInvoice, issueInvoice, payloadFromDraft } = require('../utils/invoiceService');
+const { getInvoiceUpiDetails } = require('../utils/upiService');
+const { sendError, escapeRegex } = require('../utils/routeHelpers');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a user may set directly; expired and converted are set by the system
+const SETTABLE_STATUSES = ['sent', 'accepted', 'rejected'];
+
+// Find a quotation owned by the user; resolves to null for malformed IDs
+const findUserQuotation = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return Quotation.findOne({ _id: id, userId });
+};
+
+// Work out the validity date from an explicit date, a number of days or the
+// business default
+const resolveValidUntil = ({ validUntil, validityDays }, business, from = new Date()) => {
+  if (validUntil) {
+    const date = new Date(validUntil);
+    if (isNaN(date.getTime())) {
+      throw new HttpError('validUntil must be a valid date');
+    }
+    if (date < from) {
+      throw new HttpError('validUntil cannot be in the past');
+    }
+    return date;
+  }
+
+  const settings = (business && business.invoice_settings) || {};
+  const days = validityDays !== undefined ? Number(validityDays) : (settings.quotation_validity_days || 15);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new HttpError('validityDays must be a whole number between 1 and 365');
+  }
+  return new Date(from.getTime() + days * DAY_MS);
+};
+
+// Price a quotation request from current product prices. Quotations never
+// check or touch stock.
+const buildQuotationData = async ({ userId, business, payload }) => {
+  validateInvoicePayload(payload);
+  const { totals, supply } = await priceInvoice({ userId, business, payload, checkStock: false });
+  return {
+    customerInfo: payload.customerInfo,
+    placeOfSupply: supply.placeOfSupply,
+    ...totals,
+    notes: payload.notes
+  };
+};
+
+// @route   GET /api/quotations
+// @desc    Get quotations with pagination and filters
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      status,
+      customerMobile,
+      sortBy = 'quotationDate',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    await Quotation.expireOverdue(req.user._id);
+
+    const query = {
+      userId: req.user._id,
+      businessId: business ? business._id : null
+    };
+
+    if (search) {
+      query.$or = [
+        { quotationNumber: { $regex: escapeRegex(search), $options: 'i' } },
+        { 'customerInfo.name': { $regex: escapeRegex(search), $options: 'i' } }
+      ];
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (customerMobile) {
+      query['customerInfo.mobileNumber'] = customerMobile.trim();
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const quotations = await Quotation.find(query)
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalQuotations = await Quotation.countDocuments(query);
+    const totalPages = Math.ceil(totalQuotations / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        quotations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalQuotations,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotations',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Get a specific quotation
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    await Quotation.expireOverdue(req.user._id);
+    const quotation = await findUserQuotation(req.params.id, req.user._id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotation',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotations
+// @desc    Create a quotation priced from current product prices
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const business = await Business.findOne({ user_id: req.user._id });
+    const data = await buildQuotationData({ userId: req.user._id, business, payload: req.body });
+    const quotationDate = new Date();
+    const validUntil = resolveValidUntil(req.body, business, quotationDate);
+
+    // Quotations have their own gap-free series, numbered in a transaction
+    // so a failed save does not burn a number
+    const quotation = await runInTransaction(null, async (session) => {
+      const quotationNumber = await generateDocumentNumber({
+        userId: req.user._id,
+        business,
+        series: 'quotation',
+        date: quotationDate,
+        session
+      });
+
+      const [created] = await Quotation.create([{
+        ...data,
+        quotationNumber,
+        quotationDate,
+        validUntil,
+        status: 'sent',
+        userId: req.user._id,
+        businessId: business ? business._id : null
+      }], { session });
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation created successfully',
+      data: {
+        quotation
+      }
+    });
+  } catch (error) {
+    console.error('Create quotation error:', error);
+    sendError(res, error, 'Failed to create quotation');
+  }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Revise an open quotation; items are re-priced from current prices
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const quotation = await findUserQuotation(req.params.id, req.user._id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.status === 'converted') {
+      return res.status(409).json({
+        success: false,
+        message: 'A converted quotation cannot be edited'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const data = await buildQuotationData({ userId: req.user._id, business, payload: req.body });
+
+    quotation.set(data);
+    // A revised quotation is sent again with a fresh validity period
+    quotation.validUntil = resolveValidUntil(req.body, business);
+    quotation.status = 'sent';
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: 'Quotation updated successfully',
+      data: {
+        quotation
+      }
+    });
+  } catch (error) {
+    console.error('Update quotation error:', error);
+    sendError(res, error, 'Failed to update quotation');
+  }
+});
+
+// @route   PATCH /api/quotations/:id/status
+// @desc    Mark a quotation as sent, accepted or rejected
+// @access  Private
+router.patch('/:id/status', auth, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!SETTABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${SETTABLE_STATUSES.join(', ')}`
+      });
+    }
+
+    await Quotation.expireOverdue(req.user._id);
+    const quotation = await findUserQuotation(req.params.id, req.user._id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (['converted', 'expired'].includes(quotation.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change the status of a ${quotation.status} quotation`
+      });
+    }
+
+    quotation.status = status;
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: `Quotation marked as ${status}`,
+      data: {
+        quotation
+      }
+    });
+  } catch (error) {
+    console.error('Update quotation status error:', error);
+    sendError(res, error, 'Failed to update quotation status');
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete a quotation that has not been converted
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const quotation = await findUserQuotation(req.params.id, req.user._id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.status === 'converted') {
+      return res.status(409).json({
+        success: false,
+        message: 'A converted quotation cannot be deleted'
+      });
+    }
+
+    await Quotation.deleteOne({ _id: quotation._id, status: { $ne: 'converted' } });
+
+    res.json({
+      success: true,
+      message: 'Quotation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete quotation',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotations/:id/convert
+// @desc    Convert a quotation into an invoice at current prices and stock
+// @access  Private
+router.post('/:id/convert', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+
+    // The invoice goes through the normal creation path, so stock is checked
+    // and prices are re-read from the products. Marking the quotation as
+    // converted happens in the same transaction.
+    const result = await runInTransaction(null, async (session) => {
+      const quotation = await Quotation.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      }).session(session);
+
+      if (!quotation) {
+        throw new HttpError('Quotation not found', 404);
+      }
+      if (quotation.status === 'converted') {
+        throw new HttpError('Quotation has already been converted to an invoice', 409);
+      }
+      if (quotation.status === 'rejected') {
+        throw new HttpError('A rejected quotation cannot be converted', 409);
+      }
+      if (quotation.isExpired) {
+        throw new HttpError('Quotation has expired. Revise it to extend its validity.', 409);
+      }
+
+      const { invoice, stockUpdates } = await issueInvoice({
+        userId: req.user._id,
+        business,
+        payload: payloadFromDraft(quotation, req.body),
+        session
+      });
+
+      // Prices may have moved since the quotation was given; the caller has
+      // to acknowledge that before the sale goes through
+      if (Math.abs(invoice.totalAmount - quotation.totalAmount) > AMOUNT_EPSILON && !req.body.acceptPriceChanges) {
+        throw new HttpError(
+          'Prices have changed since the quotation was issued. Resend with acceptPriceChanges to invoice at current prices.',
+          409,
+          { quotedTotal: quotation.totalAmount, currentTotal: invoice.totalAmount }
+        );
+      }
+
+      quotation.status = 'converted';
+      quotation.convertedInvoiceId = invoice._id;
+      quotation.convertedAt = new Date();
+      await quotation.save({ session });
+
+      return { quotation, invoice, stockUpdates };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation converted to invoice and stock updated',
+      data: {
+        ...result,
+        upi: getInvoiceUpiDetails(result.invoice, business)
+      }
+    });
+  } catch (error) {
+    console.error('Convert quotation error:', error);
+    sendError(res, error, 'Failed to convert quotation');
+  }
+});
+
+module.exports = router;
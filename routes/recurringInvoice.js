@@ -0,0 +1,398 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Business = require('../models/Business');
+const { auth } = require('../middleware/auth');
+const { validateInvoicePayload, priceInvoice } = require('../utils/invoiceService');
+const { normalizeDiscountType } = require('../utils/invoiceCalculator');
+const { normalizePaymentMethod } = require('../utils/paymentService');
+const { normalizeSchedule, firstOccurrence, isWithinEndDate } = require('../utils/recurringSchedule');
+const { sendError } = require('../utils/routeHelpers');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Find a template owned by the user; resolves to null for malformed IDs
+const findUserTemplate = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return RecurringInvoice.findOne({ _id: id, userId });
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new HttpError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+// Validate a template request and check its products can be priced. Stock is
+// only checked when each invoice is generated.
+const buildTemplateData = async ({ userId, business, body, existing = null }) => {
+  const payload = {
+    items: body.items,
+    customerInfo: body.customerInfo,
+    discountAmount: body.discountAmount,
+    discountType: body.discountType
+  };
+  validateInvoicePayload(payload);
+  const { totals } = await priceInvoice({ userId, business, payload, checkStock: false });
+
+  const startDate = body.startDate !== undefined
+    ? parseDate(body.startDate, 'startDate')
+    : (existing ? existing.startDate : new Date());
+  const endDate = body.endDate !== undefined
+    ? (body.endDate ? parseDate(body.endDate, 'endDate') : null)
+    : (existing ? existing.endDate : null);
+  if (endDate && endDate < startDate) {
+    throw new HttpError('endDate cannot be before startDate');
+  }
+
+  const data = {
+    name: body.name,
+    customerInfo: body.customerInfo,
+    items: body.items.map(item => ({
+      productId: item.productId,
+      quantity: Number(item.quantity),
+      discountType: normalizeDiscountType(item.discountType),
+      discountAmount: item.discountAmount || 0
+    })),
+    discountType: totals.discountType,
+    discountAmount: body.discountAmount || 0,
+    notes: body.notes,
+    schedule: normalizeSchedule(body.schedule, startDate),
+    startDate,
+    endDate
+  };
+
+  if (body.paymentMethod !== undefined) {
+    data.paymentMethod = normalizePaymentMethod(body.paymentMethod);
+    if (data.paymentMethod === 'points') {
+      throw new HttpError('Recurring invoices cannot be paid with loyalty points');
+    }
+  }
+  if (body.catchUp !== undefined) data.catchUp = body.catchUp;
+  if (body.emailInvoice !== undefined) data.emailInvoice = Boolean(body.emailInvoice);
+
+  return { data, preview: totals };
+};
+
+// Set the next occurrence on or after a date. Never goes back over an
+// occurrence that has already been processed, so editing or resuming a
+// template does not bill the same period twice.
+const scheduleNextRun = (template, notBefore) => {
+  let from = template.startDate > notBefore ? template.startDate : notBefore;
+  const lastRun = template.runs[template.runs.length - 1];
+  if (lastRun) {
+    const afterLastRun = new Date(lastRun.scheduledFor.getTime() + DAY_MS);
+    if (afterLastRun > from) from = afterLastRun;
+  }
+
+  const next = firstOccurrence(template.schedule, from);
+  if (isWithinEndDate(next, template.endDate)) {
+    template.nextRunAt = next;
+    if (template.status === 'completed') template.status = 'active';
+  } else {
+    template.nextRunAt = null;
+    template.status = 'completed';
+  }
+};
+
+// @route   GET /api/recurring-invoices
+// @desc    Get recurring invoice templates
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const query = {
+      userId: req.user._id,
+      businessId: business ? business._id : null
+    };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const templates = await RecurringInvoice.find(query)
+      .select('-runs')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalTemplates = await RecurringInvoice.countDocuments(query);
+    const totalPages = Math.ceil(totalTemplates / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalTemplates,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring invoices',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/recurring-invoices/:id
+// @desc    Get a recurring invoice template
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get recurring invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring invoice',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/recurring-invoices/:id/runs
+// @desc    Get the run history of a template, newest first
+// @access  Private
+router.get('/:id/runs', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        nextRunAt: template.nextRunAt,
+        runs: template.runs.slice().reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring invoice runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch run history',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/recurring-invoices
+// @desc    Create a recurring invoice template
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const business = await Business.findOne({ user_id: req.user._id });
+    const { data, preview } = await buildTemplateData({ userId: req.user._id, business, body: req.body });
+
+    const template = new RecurringInvoice({
+      ...data,
+      userId: req.user._id,
+      businessId: business ? business._id : null
+    });
+    scheduleNextRun(template, template.startDate);
+    if (!template.nextRunAt) {
+      throw new HttpError('The schedule has no occurrences between startDate and endDate');
+    }
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring invoice created successfully',
+      data: {
+        template,
+        preview
+      }
+    });
+  } catch (error) {
+    console.error('Create recurring invoice error:', error);
+    sendError(res, error, 'Failed to create recurring invoice');
+  }
+});
+
+// @route   PUT /api/recurring-invoices/:id
+// @desc    Update a recurring invoice template
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const { data, preview } = await buildTemplateData({
+      userId: req.user._id,
+      business,
+      body: req.body,
+      existing: template
+    });
+
+    template.set(data);
+    if (template.status !== 'paused') {
+      scheduleNextRun(template, new Date());
+    }
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring invoice updated successfully',
+      data: {
+        template,
+        preview
+      }
+    });
+  } catch (error) {
+    console.error('Update recurring invoice error:', error);
+    sendError(res, error, 'Failed to update recurring invoice');
+  }
+});
+
+// @route   POST /api/recurring-invoices/:id/pause
+// @desc    Pause a template; no invoices are generated while paused
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    if (template.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot pause a ${template.status} recurring invoice`
+      });
+    }
+
+    template.status = 'paused';
+    template.nextRunAt = null;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring invoice paused',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Pause recurring invoice error:', error);
+    sendError(res, error, 'Failed to pause recurring invoice');
+  }
+});
+
+// @route   POST /api/recurring-invoices/:id/resume
+// @desc    Resume a paused template from its next occurrence; periods
+//          missed while paused are not billed
+// @access  Private
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    if (template.status !== 'paused') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only paused recurring invoices can be resumed'
+      });
+    }
+
+    template.status = 'active';
+    scheduleNextRun(template, new Date());
+    await template.save();
+
+    res.json({
+      success: true,
+      message: template.status === 'completed'
+        ? 'Recurring invoice has no occurrences left and is now completed'
+        : 'Recurring invoice resumed',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Resume recurring invoice error:', error);
+    sendError(res, error, 'Failed to resume recurring invoice');
+  }
+});
+
+// @route   DELETE /api/recurring-invoices/:id
+// @desc    Delete a recurring invoice template; generated invoices are kept
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await findUserTemplate(req.params.id, req.user._id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    await RecurringInvoice.deleteOne({ _id: template._id });
+
+    res.json({
+      success: true,
+      message: 'Recurring invoice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete recurring invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete recurring invoice',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const SyncTombstone = require('../models/SyncTombstone');
+const { auth } = require('../middleware/auth');
+const { issueInvoice } = require('../utils/invoiceService');
+const { sendError } = require('../utils/routeHelpers');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 100;
+const MAX_FEED_LIMIT = 500;
+
+// Offline clocks drift; reject timestamps further ahead than this
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Writes committing slightly out of order can carry an updatedAt just behind
+// the newest one. The feed stops short of the present by this much so a
+// change is never returned after a cursor has already moved past it.
+const FEED_SETTLE_MS = 5 * 1000;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Cursors are opaque to clients: the updatedAt and _id of the last product sent
+const encodeCursor = (time, id) => Buffer.from(JSON.stringify({ t: time.getTime(), id: id ? String(id) : null }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || (id !== null && !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid cursor');
+    }
+    return { time: new Date(t), id };
+  } catch (error) {
+    throw new HttpError('Invalid sync cursor. Start again without a cursor.');
+  }
+};
+
+// Check the sync envelope of one offline invoice
+const readOfflineInfo = (entry, now) => {
+  if (!entry || typeof entry !== 'object') {
+    throw new HttpError('Each invoice must be an object');
+  }
+  if (!UUID_REGEX.test(String(entry.clientId || ''))) {
+    throw new HttpError('clientId must be a UUID');
+  }
+
+  const clientCreatedAt = new Date(entry.clientCreatedAt);
+  if (!entry.clientCreatedAt || isNaN(clientCreatedAt.getTime())) {
+    throw new HttpError('clientCreatedAt must be a valid timestamp');
+  }
+  if (clientCreatedAt.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    throw new HttpError('clientCreatedAt cannot be in the future');
+  }
+
+  return { clientId: entry.clientId.toLowerCase(), clientCreatedAt };
+};
+
+const duplicateResult = (invoice) => ({
+  clientId: invoice.clientId,
+  status: 'duplicate',
+  invoiceId: invoice._id,
+  invoiceNumber: invoice.invoiceNumber,
+  totalAmount: invoice.totalAmount
+});
+
+// @route   POST /api/sync/invoices
+// @desc    Upload invoices billed offline. They are applied oldest first
+//          against current stock and given official invoice numbers.
+// @access  Private
+router.post('/invoices', auth, async (req, res) => {
+  try {
+    const { invoices } = req.body;
+
+    if (!Array.isArray(invoices) || invoices.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'invoices must be a non-empty array'
+      });
+    }
+
+    if (invoices.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A sync batch cannot contain more than ${MAX_BATCH_SIZE} invoices`
+      });
+    }
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const now = new Date();
+
+    const results = new Array(invoices.length);
+    const entries = [];
+    invoices.forEach((entry, index) => {
+      try {
+        entries.push({ entry, index, offline: readOfflineInfo(entry, now) });
+      } catch (error) {
+        results[index] = {
+          clientId: entry && entry.clientId,
+          status: 'rejected',
+          message: error.message
+        };
+      }
+    });
+
+    // Apply in the order the bills were made on the device; the sort is
+    // stable, so bills with the same timestamp keep their upload order
+    entries.sort((a, b) => a.offline.clientCreatedAt - b.offline.clientCreatedAt);
+
+    for (const { entry, index, offline } of entries) {
+      // A retried upload returns the invoice created the first time
+      const existing = await Invoice.findOne({ userId: req.user._id, clientId: offline.clientId });
+      if (existing) {
+        results[index] = duplicateResult(existing);
+        continue;
+      }
+
+      try {
+        const { invoice } = await issueInvoice({
+          userId: req.user._id,
+          business,
+          payload: entry,
+          offline
+        });
+
+        results[index] = {
+          clientId: offline.clientId,
+          status: 'created',
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          totalAmount: invoice.totalAmount,
+          balanceDue: invoice.balanceDue
+        };
+      } catch (issueError) {
+        if (issueError.code === 11000) {
+          // The same bill was uploaded concurrently and won the race
+          const winner = await Invoice.findOne({ userId: req.user._id, clientId: offline.clientId });
+          if (winner) {
+            results[index] = duplicateResult(winner);
+            continue;
+          }
+        }
+
+        // Stock that ran out and totals that no longer match current prices
+        // are conflicts the device has to resolve; anything else is rejected
+        const isHttpError = issueError instanceof HttpError;
+        const isConflict = isHttpError && [409, 422].includes(issueError.statusCode);
+        results[index] = {
+          clientId: offline.clientId,
+          status: isConflict ? 'conflict' : (isHttpError || issueError.name === 'ValidationError' ? 'rejected' : 'failed'),
+          message: issueError.message,
+          ...(issueError.details && { details: issueError.details }),
+          // Server faults leave nothing behind and can be retried as they are
+          retryable: !isHttpError && issueError.name !== 'ValidationError'
+        };
+        if (!isHttpError) {
+          console.error(`Sync invoice ${offline.clientId} error:`, issueError);
+        }
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      message: 'Sync batch processed',
+      data: {
+        results,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Sync invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync invoices',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/sync/products
+// @desc    Delta feed of product and price changes since a cursor. Omit the
+//          cursor for a full download; pass nextCursor until hasMore is false.
+// @access  Private
+router.get('/products', auth, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), MAX_FEED_LIMIT);
+
+    const business = await Business.findOne({ user_id: req.user._id });
+    const scope = {
+      userId: req.user._id,
+      businessId: business ? business._id : null
+    };
+
+    const since = cursor ? decodeCursor(cursor) : null;
+
+    // Tombstones expire, so a cursor older than them cannot be caught up
+    const oldestTombstone = new Date(Date.now() - SyncTombstone.TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    if (since && since.time < oldestTombstone) {
+      return res.status(410).json({
+        success: false,
+        message: 'Sync cursor has expired. Download all products again without a cursor.'
+      });
+    }
+
+    const upTo = new Date(Date.now() - FEED_SETTLE_MS);
+    const query = { ...scope, updatedAt: { $lte: upTo } };
+    if (since) {
+      query.$or = [
+        { updatedAt: { $gt: since.time, $lte: upTo } },
+        ...(since.id ? [{ updatedAt: since.time, _id: { $gt: since.id } }] : [])
+      ];
+    }
+
+    const products = await Product.find(query)
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = products.length > limit;
+    if (hasMore) products.pop();
+
+    // This page covers changes up to its last product, or up to the settle
+    // point when it is the final page
+    const last = products[products.length - 1];
+    const pageEnd = hasMore ? last.updatedAt : upTo;
+
+    // Deletions only matter to a client that already has products
+    const deleted = since
+      ? await SyncTombstone.find({
+        ...scope,
+        entityType: 'product',
+        deletedAt: { $gt: since.time, $lte: pageEnd }
+      }).sort({ deletedAt: 1 }).lean()
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        deletedProductIds: deleted.map(tombstone => tombstone.entityId),
+        nextCursor: hasMore ? encodeCursor(last.updatedAt, last._id) : encodeCursor(upTo, null),
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Sync products error:', error);
+    sendError(res, error, 'Failed to fetch product changes');
+  }
+});
+
+module.exports = router;
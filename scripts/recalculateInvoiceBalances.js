@@ -0,0 +1,41 @@
+/**
+ * Recalculate amountPaid, balanceDue and paymentStatus on invoices that have
+ * credit notes, which were saved before returns were deducted from the
+ * balance due
+ * Run with: node scripts/recalculateInvoiceBalances.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const { summarizePayments } = require('../utils/paymentService');
+
+async function recalculateInvoiceBalances() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Invoice.find({ creditedAmount: { $gt: 0 } }).cursor();
+    let checked = 0;
+    let updated = 0;
+
+    for await (const invoice of cursor) {
+      checked += 1;
+      const summary = summarizePayments(invoice.payments, invoice.totalAmount - invoice.creditedAmount);
+      if (summary.balanceDue === invoice.balanceDue && summary.paymentStatus === invoice.paymentStatus) continue;
+
+      await Invoice.updateOne({ _id: invoice._id }, { $set: summary });
+      updated += 1;
+      console.log(`  - ${invoice.invoiceNumber}: balance due ${invoice.balanceDue} → ${summary.balanceDue}, ${summary.paymentStatus}`);
+    }
+
+    console.log(`✅ Checked ${checked} invoices with credit notes, updated ${updated}`);
+  } catch (error) {
+    console.error('❌ Error recalculating invoice balances:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+recalculateInvoiceBalances();
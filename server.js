@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { startRecurringInvoiceScheduler } = require('./utils/recurringInvoiceScheduler');
+const { startPaymentReminderScheduler } = require('./utils/paymentReminderScheduler');
 
 const app = express();
 
@@ -27,7 +29,11 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB Atlas'))
+.then(() => {
+  console.log('✅ Connected to MongoDB Atlas');
+  startRecurringInvoiceScheduler();
+  startPaymentReminderScheduler();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 
@@ -37,9 +43,17 @@ app.use('/api/business', require('./routes/business'));
 app.use('/api/subscription', require('./routes/subscription'));
 app.use('/api/user', require('./routes/user'));
 app.use('/api/products', require('./routes/product'));
+app.use('/api/customers', require('./routes/customer'));
 app.use('/api/invoices', require('./routes/invoice'));
+app.use('/api/quotations', require('./routes/quotation'));
+app.use('/api/invoice-templates', require('./routes/invoiceTemplate'));
+app.use('/api/recurring-invoices', require('./routes/recurringInvoice'));
+app.use('/api/sync', require('./routes/sync'));
 app.use('/api/admin', require('./routes/admin'));
 
+// Public invoice share links (no authentication)
+app.use('/public', require('./routes/public'));
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
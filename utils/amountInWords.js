@@ -0,0 +1,60 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Convert a number below 1000 to words
+const belowThousand = (num) => {
+  const parts = [];
+  if (num >= 100) {
+    parts.push(`${ONES[Math.floor(num / 100)]} Hundred`);
+    num %= 100;
+  }
+  if (num >= 20) {
+    parts.push(TENS[Math.floor(num / 10)] + (num % 10 ? ` ${ONES[num % 10]}` : ''));
+  } else if (num > 0) {
+    parts.push(ONES[num]);
+  }
+  return parts.join(' ');
+};
+
+// Convert a whole number to words using the Indian system (thousand, lakh, crore)
+const numberToWords = (num) => {
+  num = Math.floor(Math.abs(num));
+  if (num === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(num / 10000000);
+  num %= 10000000;
+  const lakh = Math.floor(num / 100000);
+  num %= 100000;
+  const thousand = Math.floor(num / 1000);
+  num %= 1000;
+
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowThousand(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowThousand(thousand)} Thousand`);
+  if (num) parts.push(belowThousand(num));
+
+  return parts.join(' ');
+};
+
+// Express a rupee amount in words, e.g. 1250.5 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+
+  let words = `Rupees ${numberToWords(rupees)}`;
+  if (paise) {
+    words += ` and ${numberToWords(paise)} Paise`;
+  }
+  return `${words} Only`;
+};
+
+module.exports = {
+  numberToWords,
+  amountInWords
+};
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const HttpError = require('./httpError');
+const { roundMoney } = require('./invoiceCalculator');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole calendar days (IST) from one date to another
+const istDaysBetween = (from, to) => (
+  Math.floor((to.getTime() + IST_OFFSET_MS) / DAY_MS) - Math.floor((from.getTime() + IST_OFFSET_MS) / DAY_MS)
+);
+
+// Customer details copied onto an invoice at sale time
+const customerSnapshot = (customer) => ({
+  name: customer.name,
+  mobileNumber: customer.mobileNumber,
+  email: customer.email,
+  address: customer.billingAddress,
+  state: customer.state,
+  gstNumber: customer.gstNumber
+});
+
+const definedFields = (object = {}) => Object.keys(object).reduce((fields, key) => {
+  if (object[key] !== undefined && object[key] !== null && object[key] !== '') fields[key] = object[key];
+  return fields;
+}, {});
+
+/**
+ * Fill in an invoice request's customerInfo from the customer master when it
+ * names a customerId. Fields sent in customerInfo override the stored ones
+ * for this invoice only, e.g. a different address for one delivery.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Owner of the customer
+ * @param {Object} params.payload - Invoice request body
+ * @param {ClientSession} [params.session] - Session to read in
+ * @returns {Promise<Object>} The payload, with customerInfo filled in
+ */
+const resolveCustomerInfo = async ({ userId, payload, session = null }) => {
+  if (!payload || !payload.customerId) return payload;
+
+  if (!mongoose.Types.ObjectId.isValid(payload.customerId)) {
+    throw new HttpError('Customer not found', 404);
+  }
+  const customer = await Customer.findOne({ _id: payload.customerId, userId }).session(session);
+  if (!customer) {
+    throw new HttpError('Customer not found', 404);
+  }
+
+  return {
+    ...payload,
+    customerInfo: {
+      ...definedFields(customerSnapshot(customer)),
+      ...definedFields(payload.customerInfo)
+    }
+  };
+};
+
+/**
+ * Find or create the customer for an invoice by mobile number. A new
+ * customer takes the invoice's details; an existing one keeps its own and
+ * only has missing email, GSTIN, address or state filled in. Details that
+ * would not pass the customer's validation are left out rather than failing
+ * the sale.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Owner of the invoice
+ * @param {Object|null} params.business - User's business document
+ * @param {Object} params.customerInfo - Customer details on the invoice
+ * @param {ClientSession} [params.session] - Transaction the invoice is saved in
+ * @returns {Promise<Object|null>} The customer, or null when the mobile
+ *   number is not a valid 10-digit number
+ */
+const upsertCustomerFromInvoice = async ({ userId, business, customerInfo, session = null }) => {
+  const details = new Customer({
+    ...definedFields({
+      name: customerInfo.name,
+      mobileNumber: customerInfo.mobileNumber,
+      email: customerInfo.email,
+      gstNumber: customerInfo.gstNumber,
+      billingAddress: customerInfo.address,
+      state: customerInfo.state
+    }),
+    userId,
+    businessId: business ? business._id : null
+  });
+
+  const invalid = details.validateSync();
+  if (invalid) {
+    if (invalid.errors.name || invalid.errors.mobileNumber) return null;
+    Object.keys(invalid.errors).forEach(path => details.set(path, undefined));
+  }
+
+  const fields = definedFields({
+    name: details.name,
+    email: details.email,
+    gstNumber: details.gstNumber,
+    billingAddress: details.billingAddress,
+    state: details.state,
+    businessId: details.businessId
+  });
+
+  const customer = await Customer.findOneAndUpdate(
+    { userId, mobileNumber: details.mobileNumber },
+    { $setOnInsert: fields },
+    { upsert: true, new: true, session }
+  );
+
+  const missing = ['email', 'gstNumber', 'billingAddress', 'state']
+    .filter(field => fields[field] && !customer[field]);
+  if (missing.length > 0) {
+    missing.forEach(field => customer.set(field, fields[field]));
+    await customer.save({ session });
+  }
+
+  return customer;
+};
+
+// Units of a line still with the customer, and their share of the line total
+const NET_QUANTITY = { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] };
+const NET_LINE_AMOUNT = { $multiply: ['$items.total', { $divide: [NET_QUANTITY, '$items.quantity'] }] };
+
+/**
+ * Purchase history of a customer worked out from their issued invoices.
+ * Voided invoices and drafts are left out and returns are deducted.
+ *
+ * @param {Object} params
+ * @param {Object} params.customer - Customer document
+ * @param {number} [params.limit] - Favourite products and categories to return
+ * @param {Date} [params.now] - Current time, for days since the last visit
+ * @returns {Promise<Object>} Lifetime value, visits, average basket, last
+ *   purchase and favourite products and categories
+ */
+const getCustomerInsights = async ({ customer, limit = 5, now = new Date() }) => {
+  const [result] = await Invoice.aggregate([
+    { $match: { userId: customer.userId, customerId: customer._id, status: 'issued' } },
+    { $sort: { invoiceDate: 1 } },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              invoiceCount: { $sum: 1 },
+              grossSales: { $sum: '$totalAmount' },
+              returns: { $sum: { $ifNull: ['$creditedAmount', 0] } },
+              firstPurchaseDate: { $min: '$invoiceDate' },
+              lastPurchaseDate: { $max: '$invoiceDate' },
+              // Several bills on the same day are one visit
+              visitDays: {
+                $addToSet: { $dateToString: { format: '%Y-%m-%d', date: '$invoiceDate', timezone: '+05:30' } }
+              }
+            }
+          }
+        ],
+        products: [
+          { $unwind: '$items' },
+          {
+            $group: {
+              _id: '$items.productId',
+              productName: { $last: '$items.productName' },
+              timesPurchased: { $sum: 1 },
+              quantity: { $sum: NET_QUANTITY },
+              amount: { $sum: NET_LINE_AMOUNT }
+            }
+          },
+          { $match: { quantity: { $gt: 0 } } },
+          { $sort: { timesPurchased: -1, quantity: -1, amount: -1 } },
+          { $limit: limit }
+        ],
+        categories: [
+          { $unwind: '$items' },
+          {
+            $group: {
+              _id: '$items.productId',
+              quantity: { $sum: NET_QUANTITY },
+              amount: { $sum: NET_LINE_AMOUNT },
+              invoiceIds: { $addToSet: '$_id' }
+            }
+          },
+          // Invoices do not keep the category, so it comes from the product;
+          // deleted products count as uncategorized
+          { $lookup: { from: Product.collection.name, localField: '_id', foreignField: '_id', as: 'product' } },
+          {
+            $group: {
+              _id: { $ifNull: [{ $arrayElemAt: ['$product.category', 0] }, 'Uncategorized'] },
+              quantity: { $sum: '$quantity' },
+              amount: { $sum: '$amount' },
+              invoiceIds: { $push: '$invoiceIds' }
+            }
+          },
+          {
+            $project: {
+              quantity: 1,
+              amount: 1,
+              timesPurchased: {
+                $size: { $reduce: { input: '$invoiceIds', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+              }
+            }
+          },
+          { $match: { quantity: { $gt: 0 } } },
+          { $sort: { timesPurchased: -1, amount: -1 } },
+          { $limit: limit }
+        ]
+      }
+    }
+  ]);
+
+  const summary = result.summary[0];
+  if (!summary) {
+    return {
+      lifetimeValue: 0,
+      invoiceCount: 0,
+      visitCount: 0,
+      averageBasket: 0,
+      firstPurchaseDate: null,
+      lastPurchaseDate: null,
+      daysSinceLastVisit: null,
+      favouriteProducts: [],
+      favouriteCategories: []
+    };
+  }
+
+  const lifetimeValue = roundMoney(summary.grossSales - summary.returns);
+  return {
+    lifetimeValue,
+    invoiceCount: summary.invoiceCount,
+    visitCount: summary.visitDays.length,
+    averageBasket: roundMoney(lifetimeValue / summary.invoiceCount),
+    firstPurchaseDate: summary.firstPurchaseDate,
+    lastPurchaseDate: summary.lastPurchaseDate,
+    daysSinceLastVisit: Math.max(0, istDaysBetween(summary.lastPurchaseDate, now)),
+    favouriteProducts: result.products.map(product => ({
+      productId: product._id,
+      productName: product.productName,
+      timesPurchased: product.timesPurchased,
+      quantity: product.quantity,
+      amount: roundMoney(product.amount)
+    })),
+    favouriteCategories: result.categories.map(category => ({
+      category: category._id,
+      timesPurchased: category.timesPurchased,
+      quantity: category.quantity,
+      amount: roundMoney(category.amount)
+    }))
+  };
+};
+
+module.exports = {
+  customerSnapshot,
+  resolveCustomerInfo,
+  upsertCustomerFromInvoice,
+  getCustomerInsights
+};
@@ -1,4 +1,7 @@
 const nodemailer = require('nodemailer');
+const { formatAmount, formatDate, decodeImage } = require('./invoicePdf');
+const { buildInvoiceUpiLink, generateUpiQr } = require('./upiService');
+const { escapeHtml } = require('./invoiceHtml');
 
 // Create transporter
 const createTransporter = () => {
@@ -190,9 +193,191 @@ const sendSubscriptionEmail = async (email, fullName, planName, amount, validUnt
   }
 };
 
+// Logo for an email header: stored images are embedded inline, remote URLs
+// are linked as they are
+const buildLogo = (business) => {
+  const source = business && business.business_logo;
+  if (!source) return { html: '', attachments: [] };
+
+  if (/^https?:\/\//i.test(source)) {
+    return {
+      html: `<img src="${escapeHtml(source)}" alt="" style="max-height: 60px; max-width: 200px; margin-bottom: 10px;">`,
+      attachments: []
+    };
+  }
+
+  const image = decodeImage(source);
+  if (!image) return { html: '', attachments: [] };
+  return {
+    html: '<img src="cid:business-logo" alt="" style="max-height: 60px; max-width: 200px; margin-bottom: 10px;">',
+    attachments: [{ filename: 'logo', content: image, cid: 'business-logo' }]
+  };
+};
+
+// Send Invoice Email: HTML summary branded with the business, the invoice PDF
+// attached and, when something is due, a UPI QR code to pay it
+const sendInvoiceEmail = async (email, { invoice, business, pdf, message }) => {
+  try {
+    const transporter = createTransporter();
+    const businessName = business ? business.business_name : 'Invoiz App';
+    const customerName = (invoice.customerInfo && invoice.customerInfo.name) || 'Customer';
+    const logo = buildLogo(business);
+    const upiLink = buildInvoiceUpiLink(invoice, business);
+    const upiQr = upiLink ? await generateUpiQr(upiLink, 'png', { size: 200 }) : null;
+
+    const itemRows = invoice.items.map(item => `
+                <tr>
+                  <td style="padding: 8px 0; border-bottom: 1px solid #eee;">${escapeHtml(item.productName)}</td>
+                  <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: right;">${item.quantity}</td>
+                  <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: right;">₹${formatAmount(item.price)}</td>
+                  <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: right;">₹${formatAmount(item.total)}</td>
+                </tr>`).join('');
+
+    const totalRows = [
+      ['Taxable Amount', invoice.taxableAmount],
+      ['GST', invoice.taxAmount + (invoice.cessAmount || 0)],
+      ['Invoice Total', invoice.totalAmount],
+      ['Amount Paid', invoice.amountPaid],
+      ['Balance Due', invoice.balanceDue]
+    ].map(([label, value]) => `
+                <tr>
+                  <td style="padding: 6px 0;">${label}</td>
+                  <td style="padding: 6px 0; text-align: right;">₹${formatAmount(value)}</td>
+                </tr>`).join('');
+
+    const mailOptions = {
+      from: `"${businessName.replace(/"/g, '')}" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...(business && business.contact_details && business.contact_details.email && {
+        replyTo: business.contact_details.email
+      }),
+      subject: `Invoice ${invoice.invoiceNumber} from ${businessName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            ${logo.html}
+            <h1 style="margin: 0;">${escapeHtml(businessName)}</h1>
+            ${business && business.gst_number ? `<p style="margin: 5px 0 0;">GSTIN: ${escapeHtml(business.gst_number)}</p>` : ''}
+          </div>
+
+          <div style="padding: 20px; background-color: #f9f9f9;">
+            <h2>Hello ${escapeHtml(customerName)},</h2>
+            <p>Please find attached invoice <strong>${escapeHtml(invoice.invoiceNumber)}</strong> dated ${formatDate(invoice.invoiceDate)}.</p>
+            ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+            ${invoice.status === 'void' ? '<p style="color: #c62828;"><strong>This invoice has been cancelled.</strong></p>' : ''}
+
+            <div style="background-color: white; border-radius: 8px; padding: 20px; margin: 20px 0;">
+              <table style="width: 100%; border-collapse: collapse;">
+                <tr>
+                  <th style="padding: 8px 0; border-bottom: 2px solid #4CAF50; text-align: left;">Item</th>
+                  <th style="padding: 8px 0; border-bottom: 2px solid #4CAF50; text-align: right;">Qty</th>
+                  <th style="padding: 8px 0; border-bottom: 2px solid #4CAF50; text-align: right;">Rate</th>
+                  <th style="padding: 8px 0; border-bottom: 2px solid #4CAF50; text-align: right;">Amount</th>
+                </tr>${itemRows}
+              </table>
+
+              <table style="width: 100%; border-collapse: collapse; margin-top: 15px;">${totalRows}
+              </table>
+            </div>
+            ${upiQr ? `
+            <div style="text-align: center; margin: 20px 0;">
+              <p>Scan to pay ₹${formatAmount(invoice.balanceDue)} with any UPI app</p>
+              <img src="cid:upi-qr" alt="UPI QR code" width="200" height="200">
+              <p style="color: #666;">UPI ID: ${escapeHtml(business.upi_id)}</p>
+            </div>` : ''}
+
+            <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 30px; color: #999; font-size: 12px;">
+              <p>This invoice was sent by ${escapeHtml(businessName)} using Invoiz.</p>
+            </div>
+          </div>
+        </div>
+      `,
+      attachments: [
+        {
+          filename: `${String(invoice.invoiceNumber).replace(/[^\w-]+/g, '_')}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf'
+        },
+        ...logo.attachments,
+        ...(upiQr ? [{ filename: 'upi-qr.png', content: upiQr, cid: 'upi-qr' }] : [])
+      ]
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Invoice email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('❌ Error sending invoice email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send Payment Reminder Email: the reminder message branded with the
+// business and, when it has a UPI ID, a QR code for the amount due
+const sendPaymentReminderEmail = async (email, { business, subject, message, amount, upiLink }) => {
+  try {
+    const transporter = createTransporter();
+    const businessName = business ? business.business_name : 'Invoiz App';
+    const logo = buildLogo(business);
+    const upiQr = upiLink ? await generateUpiQr(upiLink, 'png', { size: 200 }) : null;
+
+    const mailOptions = {
+      from: `"${businessName.replace(/"/g, '')}" <${process.env.EMAIL_USER}>`,
+      to: email,
+      ...(business && business.contact_details && business.contact_details.email && {
+        replyTo: business.contact_details.email
+      }),
+      subject,
+      text: message,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #4CAF50; color: white; padding: 20px; text-align: center;">
+            ${logo.html}
+            <h1 style="margin: 0;">${escapeHtml(businessName)}</h1>
+            ${business && business.gst_number ? `<p style="margin: 5px 0 0;">GSTIN: ${escapeHtml(business.gst_number)}</p>` : ''}
+          </div>
+
+          <div style="padding: 20px; background-color: #f9f9f9;">
+            <p style="white-space: pre-line;">${escapeHtml(message)}</p>
+
+            <div style="background-color: white; border: 2px solid #4CAF50; border-radius: 8px; padding: 20px; text-align: center; margin: 20px 0;">
+              <h3 style="color: #4CAF50; margin: 0;">Amount Due</h3>
+              <div style="font-size: 28px; font-weight: bold; color: #333; margin: 10px 0;">₹${formatAmount(amount)}</div>
+            </div>
+            ${upiQr ? `
+            <div style="text-align: center; margin: 20px 0;">
+              <p>Scan to pay with any UPI app</p>
+              <img src="cid:upi-qr" alt="UPI QR code" width="200" height="200">
+              <p style="color: #666;">UPI ID: ${escapeHtml(business.upi_id)}</p>
+              <p><a href="${escapeHtml(upiLink)}" style="color: #4CAF50;">Pay now</a></p>
+            </div>` : ''}
+
+            <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 30px; color: #999; font-size: 12px;">
+              <p>This reminder was sent by ${escapeHtml(businessName)} using Invoiz.</p>
+            </div>
+          </div>
+        </div>
+      `,
+      attachments: [
+        ...logo.attachments,
+        ...(upiQr ? [{ filename: 'upi-qr.png', content: upiQr, cid: 'upi-qr' }] : [])
+      ]
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Payment reminder email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('❌ Error sending payment reminder email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   generateOTP,
   sendOTPEmail,
   sendWelcomeEmail,
-  sendSubscriptionEmail
+  sendSubscriptionEmail,
+  sendInvoiceEmail,
+  sendPaymentReminderEmail
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+// GST state codes as used in the first two digits of a GSTIN
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// GST rate slabs (percent) a product can be taxed at
+const GST_RATE_SLABS = [0, 0.25, 3, 5, 12, 18, 28];
+
+// HSN codes are 4, 6 or 8 digits; SAC codes for services are 6 digits
+const HSN_CODE_REGEX = /^(\d{4}|\d{6}|\d{8})$/;
+
+// 15-character GSTIN: state code, PAN, entity number, 'Z' and a check character
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+
+// Common alternate spellings mapped to their state code
+const STATE_ALIASES = {
+  'jammu & kashmir': '01',
+  'j&k': '01',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'up': '09',
+  'orissa': '21',
+  'pondicherry': '34',
+  'andaman & nicobar islands': '35',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'dadra & nagar haveli and daman & diu': '26'
+};
+
+const normalizeStateName = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Resolve a state name or two-digit code to its GST state code
+const getStateCode = (state) => {
+  if (!state) return null;
+
+  const value = String(state).trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const code = value.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : null;
+  }
+
+  const name = normalizeStateName(value);
+  const match = Object.keys(GST_STATE_CODES).find(code => normalizeStateName(GST_STATE_CODES[code]) === name);
+  return match || STATE_ALIASES[name] || null;
+};
+
+// Extract the state code from a GSTIN
+const getStateCodeFromGstin = (gstin) => {
+  if (!gstin || typeof gstin !== 'string') return null;
+  const code = gstin.trim().substring(0, 2);
+  return GST_STATE_CODES[code] ? code : null;
+};
+
+const getStateName = (code) => GST_STATE_CODES[code] || null;
+
+// State code of the supplier, preferring the GSTIN over the address
+const getBusinessStateCode = (business) => {
+  if (!business) return null;
+  return getStateCodeFromGstin(business.gst_number) ||
+    getStateCode(business.business_address && business.business_address.state);
+};
+
+/**
+ * Work out the place of supply and whether a sale is inter-state.
+ *
+ * The customer's state comes from their GSTIN if given, else from the state
+ * on the customer details. A sale with no known customer state is treated as
+ * a local (intra-state) sale, which is the norm for over-the-counter B2C bills.
+ *
+ * @param {Object} business - Business document (supplier)
+ * @param {Object} customerInfo - Customer details from the invoice
+ * @returns {{ supplyType: string, isInterState: boolean, placeOfSupply: Object, supplierStateCode: string|null }}
+ */
+const determineSupply = (business, customerInfo = {}) => {
+  const supplierStateCode = getBusinessStateCode(business);
+  const customerStateCode = getStateCodeFromGstin(customerInfo.gstNumber) || getStateCode(customerInfo.state);
+
+  const placeOfSupplyCode = customerStateCode || supplierStateCode;
+  const isInterState = Boolean(supplierStateCode && customerStateCode && supplierStateCode !== customerStateCode);
+
+  return {
+    supplyType: isInterState ? 'inter_state' : 'intra_state',
+    isInterState,
+    supplierStateCode,
+    placeOfSupply: {
+      stateCode: placeOfSupplyCode,
+      state: getStateName(placeOfSupplyCode) ||
+        customerInfo.state ||
+        (business && business.business_address ? business.business_address.state : null)
+    }
+  };
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  GST_RATE_SLABS,
+  HSN_CODE_REGEX,
+  GSTIN_REGEX,
+  getStateCode,
+  getStateCodeFromGstin,
+  getStateName,
+  getBusinessStateCode,
+  determineSupply
+};
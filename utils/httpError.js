@@ -0,0 +1,15 @@
+// Error carrying the HTTP status a route should respond with. Thrown from
+// services and transaction callbacks so the route's catch block can tell a
+// client mistake (4xx) apart from a server failure.
+class HttpError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,337 @@
+const HttpError = require('./httpError');
+
+const DISCOUNT_TYPES = ['flat', 'percent'];
+
+// Round a monetary amount to paise
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Normalise the discount type sent by clients ('percentage' is accepted as an alias)
+const normalizeDiscountType = (type) => {
+  if (!type) return 'flat';
+  const value = String(type).trim().toLowerCase();
+  if (value === 'percentage' || value === '%') return 'percent';
+  if (!DISCOUNT_TYPES.includes(value)) {
+    throw new HttpError(`Invalid discount type "${type}". Allowed: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  return value;
+};
+
+// Resolve a discount value against an amount, returning the discount in rupees
+const resolveDiscount = (amount, value, type, label) => {
+  const discountValue = value === undefined || value === null || value === '' ? 0 : Number(value);
+
+  if (!Number.isFinite(discountValue) || discountValue < 0) {
+    throw new HttpError(`${label} discount must be a non-negative number`);
+  }
+
+  if (type === 'percent') {
+    if (discountValue > 100) {
+      throw new HttpError(`${label} discount cannot exceed 100%`);
+    }
+    return { discountValue, discountAmount: roundMoney(amount * discountValue / 100) };
+  }
+
+  if (discountValue > amount) {
+    throw new HttpError(`${label} discount cannot exceed ${roundMoney(amount)}`);
+  }
+  return { discountValue, discountAmount: roundMoney(discountValue) };
+};
+
+// Work out a line's GST: CGST + SGST at half the rate each for intra-state
+// sales, or IGST at the full rate for inter-state sales. CGST and SGST are
+// rounded separately so the two halves are always equal.
+const computeGst = (taxableValue, taxRate, isInterState) => {
+  if (isInterState) {
+    const igstAmount = roundMoney(taxableValue * taxRate / 100);
+    return {
+      taxAmount: igstAmount,
+      cgstRate: 0,
+      cgstAmount: 0,
+      sgstRate: 0,
+      sgstAmount: 0,
+      igstRate: taxRate,
+      igstAmount
+    };
+  }
+
+  const halfAmount = roundMoney(taxableValue * taxRate / 200);
+  return {
+    taxAmount: roundMoney(halfAmount * 2),
+    cgstRate: taxRate / 2,
+    cgstAmount: halfAmount,
+    sgstRate: taxRate / 2,
+    sgstAmount: halfAmount,
+    igstRate: 0,
+    igstAmount: 0
+  };
+};
+
+// Group priced lines into a rate-wise tax summary table
+const buildTaxSummary = (items) => {
+  const rows = new Map();
+  items.forEach(item => {
+    const row = rows.get(item.taxRate) || {
+      taxRate: item.taxRate,
+      taxableValue: 0,
+      cgstRate: item.cgstRate,
+      cgstAmount: 0,
+      sgstRate: item.sgstRate,
+      sgstAmount: 0,
+      igstRate: item.igstRate,
+      igstAmount: 0,
+      totalTax: 0
+    };
+    row.taxableValue = roundMoney(row.taxableValue + item.taxableValue);
+    row.cgstAmount = roundMoney(row.cgstAmount + item.cgstAmount);
+    row.sgstAmount = roundMoney(row.sgstAmount + item.sgstAmount);
+    row.igstAmount = roundMoney(row.igstAmount + item.igstAmount);
+    row.totalTax = roundMoney(row.totalTax + item.taxAmount);
+    rows.set(item.taxRate, row);
+  });
+  return Array.from(rows.values()).sort((a, b) => a.taxRate - b.taxRate);
+};
+
+// Group priced lines by HSN/SAC code and rate, as required for GST returns.
+// Lines without a code are grouped under an empty code.
+const buildHsnSummary = (items) => {
+  const rows = new Map();
+  items.forEach(item => {
+    const hsnCode = item.hsnCode || '';
+    const key = `${hsnCode}|${item.taxRate}|${item.cessRate}`;
+    const row = rows.get(key) || {
+      hsnCode,
+      taxRate: item.taxRate,
+      cessRate: item.cessRate,
+      quantity: 0,
+      taxableValue: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      cessAmount: 0,
+      totalTax: 0
+    };
+    row.quantity += item.quantity;
+    row.taxableValue = roundMoney(row.taxableValue + item.taxableValue);
+    row.cgstAmount = roundMoney(row.cgstAmount + item.cgstAmount);
+    row.sgstAmount = roundMoney(row.sgstAmount + item.sgstAmount);
+    row.igstAmount = roundMoney(row.igstAmount + item.igstAmount);
+    row.cessAmount = roundMoney(row.cessAmount + item.cessAmount);
+    row.totalTax = roundMoney(row.totalTax + item.taxAmount + item.cessAmount);
+    rows.set(key, row);
+  });
+  return Array.from(rows.values()).sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.taxRate - b.taxRate);
+};
+
+/**
+ * Price an invoice from product documents.
+ *
+ * Product prices are tax exclusive. Each line is priced as price x quantity,
+ * less its own discount. The invoice-level discount is then spread across the
+ * lines in proportion to their value so tax is charged on the discounted
+ * (taxable) amount, split into CGST + SGST for intra-state sales or IGST for
+ * inter-state sales. Cess, where the product carries one, is charged on the
+ * same taxable value and kept separate from GST. The grand total is rounded
+ * to the nearest rupee and the difference reported as roundOff.
+ *
+ * @param {Object} params
+ * @param {Array<{product: Object, quantity: number, discountAmount?: number, discountType?: string}>} params.lines
+ * @param {number} [params.discountAmount] - Invoice-level discount value
+ * @param {string} [params.discountType] - 'flat' or 'percent'
+ * @param {boolean} [params.isInterState] - Charge IGST instead of CGST + SGST
+ * @returns {Object} Priced items and invoice totals
+ */
+const calculateInvoice = ({ lines, discountAmount, discountType, isInterState = false }) => {
+  const items = lines.map(({ product, quantity, discountAmount: lineDiscount, discountType: lineDiscountType }) => {
+    const price = roundMoney(product.price);
+    const grossAmount = roundMoney(price * quantity);
+    const type = normalizeDiscountType(lineDiscountType);
+    const discount = resolveDiscount(grossAmount, lineDiscount, type, `Item "${product.name}"`);
+
+    return {
+      productId: product._id,
+      productName: product.name,
+      hsnCode: product.hsnCode || null,
+      unit: product.unit,
+      price,
+      taxRate: product.taxRate || 0,
+      cessRate: product.cessRate || 0,
+      quantity,
+      grossAmount,
+      discountType: type,
+      discountValue: discount.discountValue,
+      discountAmount: discount.discountAmount,
+      netAmount: roundMoney(grossAmount - discount.discountAmount)
+    };
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.grossAmount, 0));
+  const itemDiscountTotal = roundMoney(items.reduce((sum, item) => sum + item.discountAmount, 0));
+  const netTotal = roundMoney(subtotal - itemDiscountTotal);
+
+  const invoiceDiscountType = normalizeDiscountType(discountType);
+  const invoiceDiscount = resolveDiscount(netTotal, discountAmount, invoiceDiscountType, 'Invoice');
+
+  // Spread the invoice discount across lines; the last line absorbs rounding
+  let remainingDiscount = invoiceDiscount.discountAmount;
+  items.forEach((item, index) => {
+    const share = index === items.length - 1 || netTotal === 0
+      ? remainingDiscount
+      : roundMoney(invoiceDiscount.discountAmount * item.netAmount / netTotal);
+    const applied = Math.min(share, item.netAmount);
+    remainingDiscount = roundMoney(remainingDiscount - applied);
+    item.invoiceDiscountShare = roundMoney(applied);
+  });
+
+  // A line cannot take more discount than its value; whatever the last line
+  // could not absorb goes to earlier lines so the discount applied always
+  // equals the one reported
+  for (const item of items) {
+    if (remainingDiscount <= 0) break;
+    const extra = Math.min(roundMoney(item.netAmount - item.invoiceDiscountShare), remainingDiscount);
+    item.invoiceDiscountShare = roundMoney(item.invoiceDiscountShare + extra);
+    remainingDiscount = roundMoney(remainingDiscount - extra);
+  }
+
+  items.forEach(item => {
+    item.taxableValue = roundMoney(item.netAmount - item.invoiceDiscountShare);
+    Object.assign(item, computeGst(item.taxableValue, item.taxRate, isInterState));
+    item.cessAmount = roundMoney(item.taxableValue * item.cessRate / 100);
+    item.total = roundMoney(item.taxableValue + item.taxAmount + item.cessAmount);
+  });
+
+  const taxableAmount = roundMoney(items.reduce((sum, item) => sum + item.taxableValue, 0));
+  const taxAmount = roundMoney(items.reduce((sum, item) => sum + item.taxAmount, 0));
+  const cessAmount = roundMoney(items.reduce((sum, item) => sum + item.cessAmount, 0));
+  const exactTotal = roundMoney(taxableAmount + taxAmount + cessAmount);
+  const totalAmount = Math.round(exactTotal);
+
+  return {
+    items,
+    supplyType: isInterState ? 'inter_state' : 'intra_state',
+    subtotal,
+    itemDiscountTotal,
+    discountType: invoiceDiscountType,
+    discountValue: invoiceDiscount.discountValue,
+    discountAmount: invoiceDiscount.discountAmount,
+    taxableAmount,
+    taxAmount,
+    cgstAmount: roundMoney(items.reduce((sum, item) => sum + item.cgstAmount, 0)),
+    sgstAmount: roundMoney(items.reduce((sum, item) => sum + item.sgstAmount, 0)),
+    igstAmount: roundMoney(items.reduce((sum, item) => sum + item.igstAmount, 0)),
+    cessAmount,
+    taxSummary: buildTaxSummary(items),
+    hsnSummary: buildHsnSummary(items),
+    roundOff: roundMoney(totalAmount - exactTotal),
+    totalAmount
+  };
+};
+
+const RETURN_AMOUNT_FIELDS = ['taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'cessAmount'];
+
+/**
+ * Price a sales return (credit note) from the original invoice lines.
+ *
+ * Amounts are reversed in proportion to the quantity returned, using the
+ * values actually charged on the invoice so discounts and GST are reversed
+ * exactly. When a return brings a line's returned quantity up to the quantity
+ * sold, that line takes whatever is left so repeated partial returns never
+ * credit more than was billed. Each credit note is rounded to the rupee, so
+ * the return that completes the invoice credits what is left of its total
+ * rather than rounding again, and no return credits more than is left.
+ *
+ * @param {Object} params
+ * @param {Array<{item: Object, quantity: number, credited: Object}>} params.lines -
+ *   Invoice line, quantity being returned and amounts already credited for it
+ * @param {Object} [params.invoice] - Invoice returned against, with its items,
+ *   totalAmount and creditedAmount before this return
+ * @returns {Object} Priced credit note items and totals
+ */
+const calculateReturn = ({ lines, invoice = null }) => {
+  const items = lines.map(({ item, quantity, credited = {} }) => {
+    const isFinalReturn = (item.returnedQuantity || 0) + quantity >= item.quantity;
+    const amounts = {};
+    RETURN_AMOUNT_FIELDS.forEach(field => {
+      amounts[field] = isFinalReturn
+        ? roundMoney((item[field] || 0) - (credited[field] || 0))
+        : roundMoney((item[field] || 0) * quantity / item.quantity);
+    });
+
+    const taxAmount = roundMoney(amounts.cgstAmount + amounts.sgstAmount + amounts.igstAmount);
+    return {
+      invoiceItemId: item._id,
+      productId: item.productId,
+      productName: item.productName,
+      hsnCode: item.hsnCode || null,
+      unit: item.unit,
+      price: item.price,
+      quantity,
+      taxRate: item.taxRate,
+      cgstRate: item.cgstRate,
+      sgstRate: item.sgstRate,
+      igstRate: item.igstRate,
+      cessRate: item.cessRate || 0,
+      ...amounts,
+      taxAmount,
+      total: roundMoney(amounts.taxableValue + taxAmount + amounts.cessAmount)
+    };
+  });
+
+  const taxableAmount = roundMoney(items.reduce((sum, item) => sum + item.taxableValue, 0));
+  const taxAmount = roundMoney(items.reduce((sum, item) => sum + item.taxAmount, 0));
+  const cessAmount = roundMoney(items.reduce((sum, item) => sum + item.cessAmount, 0));
+  const exactTotal = roundMoney(taxableAmount + taxAmount + cessAmount);
+  let totalAmount = Math.round(exactTotal);
+
+  if (invoice) {
+    const returning = new Map(lines.map(({ item, quantity }) => [String(item._id), quantity]));
+    const completesInvoice = invoice.items.every(item => (
+      (item.returnedQuantity || 0) + (returning.get(String(item._id)) || 0) >= item.quantity
+    ));
+    const remaining = roundMoney(invoice.totalAmount - (invoice.creditedAmount || 0));
+    totalAmount = completesInvoice ? remaining : Math.max(0, Math.min(totalAmount, remaining));
+  }
+
+  return {
+    items,
+    taxableAmount,
+    taxAmount,
+    cgstAmount: roundMoney(items.reduce((sum, item) => sum + item.cgstAmount, 0)),
+    sgstAmount: roundMoney(items.reduce((sum, item) => sum + item.sgstAmount, 0)),
+    igstAmount: roundMoney(items.reduce((sum, item) => sum + item.igstAmount, 0)),
+    cessAmount,
+    taxSummary: buildTaxSummary(items),
+    hsnSummary: buildHsnSummary(items),
+    roundOff: roundMoney(totalAmount - exactTotal),
+    totalAmount
+  };
+};
+
+// Maximum difference allowed between the client's total and the server's
+const getTotalTolerance = () => {
+  const tolerance = parseFloat(process.env.INVOICE_TOTAL_TOLERANCE);
+  return Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 1;
+};
+
+// Reject a client-submitted total that disagrees with the computed one
+const assertClientTotal = (clientTotal, computedTotal) => {
+  if (clientTotal === undefined || clientTotal === null || clientTotal === '') return;
+
+  const value = Number(clientTotal);
+  const tolerance = getTotalTolerance();
+  if (!Number.isFinite(value) || Math.abs(value - computedTotal) > tolerance) {
+    throw new HttpError(
+      `Invoice total mismatch. Submitted: ${clientTotal}, calculated: ${computedTotal}`,
+      422,
+      { submittedTotal: clientTotal, calculatedTotal: computedTotal, tolerance }
+    );
+  }
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  roundMoney,
+  normalizeDiscountType,
+  calculateInvoice,
+  calculateReturn,
+  assertClientTotal
+};
@@ -0,0 +1,46 @@
+const Invoice = require('../models/Invoice');
+const { generateInvoicePdf } = require('./invoicePdf');
+const { loadInvoiceTemplate } = require('./invoiceTemplates');
+const { sendInvoiceEmail } = require('./emailService');
+
+// Emails kept in an invoice's history, oldest dropped first
+const MAX_EMAIL_HISTORY = 50;
+
+/**
+ * Email an invoice with its PDF and record the attempt on the invoice.
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice - Issued invoice document
+ * @param {Object|null} params.business - Business the invoice belongs to
+ * @param {string} params.recipient - Email address to send to
+ * @param {string} [params.message] - Optional note shown in the email
+ * @param {string} [params.source] - 'manual' or 'recurring'
+ * @param {ObjectId} [params.sentBy] - User sending the email
+ * @returns {Promise<Object>} The history entry that was recorded
+ */
+const emailInvoice = async ({ invoice, business, recipient, message, source = 'manual', sentBy }) => {
+  const pdf = await generateInvoicePdf(invoice, business, await loadInvoiceTemplate(business));
+  const result = await sendInvoiceEmail(recipient, { invoice, business, pdf, message });
+
+  const entry = {
+    recipient,
+    status: result.success ? 'sent' : 'failed',
+    source,
+    messageId: result.messageId,
+    error: result.error,
+    sentAt: new Date(),
+    sentBy
+  };
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id },
+    { $push: { emailHistory: { $each: [entry], $slice: -MAX_EMAIL_HISTORY } } },
+    { new: true, projection: { emailHistory: { $slice: -1 } } }
+  );
+
+  return updated && updated.emailHistory.length ? updated.emailHistory[0] : entry;
+};
+
+module.exports = {
+  emailInvoice
+};
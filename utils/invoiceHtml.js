@@ -0,0 +1,238 @@
+const { formatAmount, formatDate, decodeImage } = require('./invoicePdf');
+const { amountInWords } = require('./amountInWords');
+const { buildInvoiceUpiLink, generateUpiQr } = require('./upiService');
+const { DEFAULT_TEMPLATE } = require('./invoiceTemplates');
+
+// Escape text from user data before placing it in HTML
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Image source for a stored logo or signature: remote URLs as they are,
+// stored images as a data URI
+const imageSource = (source) => {
+  if (!source) return null;
+  if (/^https?:\/\//i.test(source)) return source;
+
+  const image = decodeImage(source);
+  if (!image) return null;
+  const type = image.slice(0, 2).toString('hex') === 'ffd8' ? 'jpeg' : 'png';
+  return `data:image/${type};base64,${image.toString('base64')}`;
+};
+
+const STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; background: #f4f4f4; margin: 0; padding: 16px; }
+  .invoice { max-width: 800px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 6px; }
+  .header { display: flex; justify-content: space-between; flex-wrap: wrap; gap: 16px; border-bottom: 1px solid #ddd; padding-bottom: 16px; }
+  .brand { display: flex; gap: 12px; align-items: flex-start; }
+  .brand img { max-height: 70px; max-width: 140px; }
+  .muted { color: #666; font-size: 13px; margin: 2px 0; }
+  .title { text-align: right; }
+  .title h2 { margin: 0 0 6px; }
+  .cancelled { color: #c62828; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; font-size: 14px; }
+  th, td { padding: 8px 6px; border-bottom: 1px solid #eee; text-align: left; }
+  th { background: #f0f0f0; }
+  .num { text-align: right; }
+  .totals { width: auto; margin-left: auto; min-width: 280px; }
+  .totals .grand td { font-weight: bold; font-size: 16px; border-top: 2px solid #222; }
+  .pay { display: flex; gap: 16px; align-items: center; margin-top: 24px; padding: 16px; background: #f7fbf7; border-radius: 6px; }
+  .pay svg { width: 140px; height: 140px; }
+  .button { display: inline-block; background: #4CAF50; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none; }
+  .actions { margin-top: 24px; text-align: center; }
+  .terms { margin-top: 24px; font-size: 13px; }
+  .terms p { white-space: pre-line; margin: 0; }
+  .signature { text-align: right; margin-top: 24px; font-size: 14px; }
+  .signature img { display: block; margin: 8px 0 4px auto; max-height: 50px; max-width: 160px; }
+  .header-text { text-align: center; font-style: italic; margin: 12px 0 0; }
+  .footer-text { text-align: center; margin-top: 24px; font-size: 13px; white-space: pre-line; }
+  @media print { body { background: #fff; padding: 0; } .actions, .pay a { display: none; } }
+`;
+
+// Template colors per layout, on top of STYLES. Colors are validated hex
+// values, so they can go into the stylesheet as they are.
+const LAYOUT_STYLES = {
+  classic: ({ primary, accent }) => `
+  h2, .header-text { color: ${primary}; }
+  th { background: ${accent}; }`,
+  modern: ({ primary }) => `
+  h2, .header-text { color: ${primary}; }
+  .header { border-bottom: 2px solid ${primary}; }
+  th { background: ${primary}; color: #fff; }`,
+  minimal: ({ primary }) => `
+  h2, .header-text { color: ${primary}; }
+  th { background: none; color: ${primary}; border-bottom: 1px solid #ddd; }
+  td { border-bottom: none; }
+  .totals td { border-bottom: 1px solid #eee; }`
+};
+
+const renderTotals = (invoice) => {
+  const rows = [['Subtotal', invoice.subtotal]];
+  const discount = (invoice.itemDiscountTotal || 0) + (invoice.discountAmount || 0);
+  if (discount) rows.push(['Discount', -discount]);
+  rows.push(['Taxable Amount', invoice.taxableAmount]);
+  if (invoice.supplyType === 'inter_state') {
+    rows.push(['IGST', invoice.igstAmount]);
+  } else {
+    rows.push(['CGST', invoice.cgstAmount]);
+    rows.push(['SGST', invoice.sgstAmount]);
+  }
+  if (invoice.cessAmount) rows.push(['Cess', invoice.cessAmount]);
+  if (invoice.roundOff) rows.push(['Round Off', invoice.roundOff]);
+
+  const balanceRows = invoice.amountPaid > 0 && invoice.balanceDue > 0
+    ? [['Paid', invoice.amountPaid], ['Balance Due', invoice.balanceDue]]
+    : [];
+
+  return `
+    <table class="totals">
+      ${rows.map(([label, value]) => `<tr><td>${label}</td><td class="num">${formatAmount(value)}</td></tr>`).join('')}
+      <tr class="grand"><td>Total (₹)</td><td class="num">${formatAmount(invoice.totalAmount)}</td></tr>
+      ${balanceRows.map(([label, value]) => `<tr><td>${label}</td><td class="num">${formatAmount(value)}</td></tr>`).join('')}
+    </table>
+    <p class="muted"><em>Amount in words: ${escapeHtml(amountInWords(invoice.totalAmount))}</em></p>`;
+};
+
+const renderTaxSummary = (invoice) => {
+  if (!invoice.taxSummary || invoice.taxSummary.length === 0) return '';
+
+  const interState = invoice.supplyType === 'inter_state';
+  const headers = interState
+    ? ['GST Rate', 'Taxable Value', 'IGST', 'Total Tax']
+    : ['GST Rate', 'Taxable Value', 'CGST', 'SGST', 'Total Tax'];
+  const rows = invoice.taxSummary.map(row => (interState
+    ? [`${row.taxRate}%`, row.taxableValue, row.igstAmount, row.totalTax]
+    : [`${row.taxRate}%`, row.taxableValue, row.cgstAmount, row.sgstAmount, row.totalTax]
+  ));
+
+  return `
+    <h4>Tax Summary</h4>
+    <table>
+      <tr>${headers.map((header, i) => `<th${i ? ' class="num"' : ''}>${header}</th>`).join('')}</tr>
+      ${rows.map(row => `<tr>${row.map((value, i) => i
+    ? `<td class="num">${formatAmount(value)}</td>`
+    : `<td>${value}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+};
+
+/**
+ * Render an invoice as a standalone HTML page for viewing in a browser.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object|null} business - Business document used for branding
+ * @param {Object} [options]
+ * @param {string} [options.pdfUrl] - Link offered for downloading the PDF
+ * @param {Object} [options.template] - Render settings from loadInvoiceTemplate
+ * @returns {Promise<string>} HTML document
+ */
+const generateInvoiceHtml = async (invoice, business, { pdfUrl, template = DEFAULT_TEMPLATE } = {}) => {
+  const customer = invoice.customerInfo || {};
+  const address = business && business.business_address;
+  const contact = (business && business.contact_details) || {};
+  const logo = imageSource(business && business.business_logo);
+  const signature = imageSource(template.signatureImage);
+  const { columns } = template;
+  const upiLink = buildInvoiceUpiLink(invoice, business);
+  const upiQr = upiLink ? await generateUpiQr(upiLink, 'svg', { size: 140 }) : null;
+  const isVoid = invoice.status === 'void';
+
+  const itemRows = invoice.items.map((item, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(item.productName)}${columns.hsnCode && item.hsnCode ? `<br><span class="muted">HSN: ${escapeHtml(item.hsnCode)}</span>` : ''}</td>
+        <td class="num">${item.quantity} ${escapeHtml(item.unit || '')}</td>
+        <td class="num">${formatAmount(item.price)}</td>
+        ${columns.discount ? `<td class="num">${formatAmount((item.discountAmount || 0) + (item.invoiceDiscountShare || 0))}</td>` : ''}
+        ${columns.taxableValue ? `<td class="num">${formatAmount(item.taxableValue)}</td>` : ''}
+        ${columns.taxRate ? `<td class="num">${item.taxRate}%</td>` : ''}
+        <td class="num">${formatAmount(item.total)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}${business ? ` - ${escapeHtml(business.business_name)}` : ''}</title>
+  <style>${STYLES}${LAYOUT_STYLES[template.layout](template.colors)}</style>
+</head>
+<body>
+  <div class="invoice">
+    <div class="header">
+      <div class="brand">
+        ${logo ? `<img src="${escapeHtml(logo)}" alt="">` : ''}
+        <div>
+          <h2 style="margin: 0 0 6px;">${escapeHtml(business ? business.business_name : 'Invoice')}</h2>
+          ${address ? `<p class="muted">${escapeHtml(`${address.street}, ${address.city}, ${address.state} - ${address.pincode}`)}</p>` : ''}
+          ${business && business.gst_number ? `<p class="muted">GSTIN: ${escapeHtml(business.gst_number)}</p>` : ''}
+          ${contact.phone ? `<p class="muted">Phone: ${escapeHtml(contact.phone)}</p>` : ''}
+          ${contact.email ? `<p class="muted">Email: ${escapeHtml(contact.email)}</p>` : ''}
+        </div>
+      </div>
+      <div class="title">
+        <h2${isVoid ? ' class="cancelled"' : ''}>${isVoid ? 'TAX INVOICE (CANCELLED)' : 'TAX INVOICE'}</h2>
+        <p class="muted">Invoice No: ${escapeHtml(invoice.invoiceNumber)}</p>
+        <p class="muted">Date: ${formatDate(invoice.invoiceDate)}</p>
+        ${invoice.placeOfSupply && invoice.placeOfSupply.state ? `<p class="muted">Place of Supply: ${escapeHtml(invoice.placeOfSupply.state)}</p>` : ''}
+      </div>
+    </div>
+    ${template.headerText ? `<p class="header-text">${escapeHtml(template.headerText)}</p>` : ''}
+
+    <h4>Bill To</h4>
+    <p style="margin: 0;"><strong>${escapeHtml(customer.name || '-')}</strong></p>
+    ${customer.address ? `<p class="muted">${escapeHtml(customer.address)}</p>` : ''}
+    ${customer.gstNumber ? `<p class="muted">GSTIN: ${escapeHtml(customer.gstNumber)}</p>` : ''}
+
+    <table>
+      <tr>
+        <th>#</th><th>Item</th><th class="num">Qty</th><th class="num">Rate</th>
+        ${columns.discount ? '<th class="num">Disc</th>' : ''}
+        ${columns.taxableValue ? '<th class="num">Taxable</th>' : ''}
+        ${columns.taxRate ? '<th class="num">GST</th>' : ''}
+        <th class="num">Amount</th>
+      </tr>
+      ${itemRows}
+    </table>
+
+    ${renderTotals(invoice)}
+    ${renderTaxSummary(invoice)}
+
+    ${template.terms ? `
+    <div class="terms">
+      <h4>Terms &amp; Conditions</h4>
+      <p>${escapeHtml(template.terms)}</p>
+    </div>` : ''}
+
+    <div class="signature">
+      <strong>For ${escapeHtml(business ? business.business_name : '')}</strong>
+      ${signature ? `<img src="${escapeHtml(signature)}" alt="Signature">` : '<br><br>'}
+      <span class="muted">Authorised Signatory</span>
+    </div>
+
+    ${upiQr ? `
+    <div class="pay">
+      ${upiQr}
+      <div>
+        <p><strong>Scan to pay ₹${formatAmount(invoice.balanceDue)} with any UPI app</strong></p>
+        <p class="muted">UPI ID: ${escapeHtml(business.upi_id)}</p>
+        <p><a class="button" href="${escapeHtml(upiLink)}">Pay with UPI</a></p>
+      </div>
+    </div>` : ''}
+
+    ${pdfUrl ? `<div class="actions"><a class="button" href="${escapeHtml(pdfUrl)}">Download PDF</a></div>` : ''}
+    ${template.footerText ? `<p class="footer-text">${escapeHtml(template.footerText)}</p>` : ''}
+    <p class="muted" style="text-align: center; margin-top: 24px;">This is a computer generated invoice.</p>
+  </div>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  generateInvoiceHtml
+};
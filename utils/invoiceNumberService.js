@@ -0,0 +1,146 @@
+const Counter = require('../models/Counter');
+
+const DEFAULT_PREFIX = 'INV';
+const DEFAULT_FORMAT = '{PREFIX}/{FY}/{SEQ:5}';
+
+// Indian Standard Time offset, used so the financial year rolls over at
+// midnight IST on April 1 regardless of the server's timezone
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const toIST = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS);
+
+// Get the financial year label for a date, e.g. 2024-25 for 15 Jan 2025
+const getFinancialYear = (date = new Date()) => {
+  const ist = toIST(date);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  const endYear = (startYear + 1) % 100;
+  return `${startYear}-${String(endYear).padStart(2, '0')}`;
+};
+
+// Financial year as it appears in document numbers, e.g. 2425 for 2024-25
+const getFinancialYearCode = (date = new Date()) => getFinancialYear(date).replace(/^\d{2}(\d{2})-/, '$1');
+
+// Check that a number format contains exactly one sequence placeholder and
+// the financial year. Counters restart every April 1, so a format without
+// {FY} would issue the same numbers again the next year.
+const isValidNumberFormat = (format) => {
+  if (!format || typeof format !== 'string') return false;
+  const seqTokens = format.match(/\{SEQ(?::\d+)?\}/g) || [];
+  return seqTokens.length === 1 && format.includes('{FY}');
+};
+
+// Render a document number from a format string.
+// Supported placeholders: {PREFIX}, {FY} (e.g. 2425), {YYYY}, {MM}, {SEQ}
+// and {SEQ:n} where n is the zero-padded width of the sequence.
+const formatDocumentNumber = (format, { prefix, seq, date = new Date() }) => {
+  const ist = toIST(date);
+  return format
+    .replace(/\{PREFIX\}/g, prefix || '')
+    .replace(/\{FY\}/g, getFinancialYearCode(date))
+    .replace(/\{YYYY\}/g, String(ist.getUTCFullYear()))
+    .replace(/\{MM\}/g, String(ist.getUTCMonth() + 1).padStart(2, '0'))
+    .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(seq).padStart(parseInt(width || '1'), '0'));
+};
+
+// GST allows invoice and credit note numbers of at most 16 characters, made
+// of letters, digits, hyphens and slashes
+const MAX_NUMBER_LENGTH = 16;
+const NUMBER_CHARS_REGEX = /^[A-Za-z0-9/-]+$/;
+
+// A sequence is assumed to reach at least this many digits in a year
+const MIN_SEQ_DIGITS = 5;
+
+/**
+ * Check that a format renders GST-compliant numbers for a prefix. The
+ * sequence is counted at its padded width, and at least MIN_SEQ_DIGITS.
+ *
+ * @param {string} format - Number format
+ * @param {string} prefix - Prefix of the series
+ * @returns {string|null} Why the numbers would not be valid, or null
+ */
+const numberFormatError = (format, prefix) => {
+  const longest = formatDocumentNumber(format.replace(/\{SEQ(?::(\d+))?\}/, (match, width) => (
+    '9'.repeat(Math.max(parseInt(width || '1'), MIN_SEQ_DIGITS))
+  )), { prefix, seq: 0 });
+
+  if (!NUMBER_CHARS_REGEX.test(longest)) {
+    return `Numbers like ${longest} may only contain letters, digits, hyphens and slashes`;
+  }
+  if (longest.length > MAX_NUMBER_LENGTH) {
+    return `Numbers like ${longest} would exceed ${MAX_NUMBER_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Atomically take the next sequence number for a series. Must be called with
+// the session of the transaction that persists the numbered document.
+const nextSequence = async ({ userId, businessId = null, series, date = new Date(), session }) => {
+  const financialYear = getFinancialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { userId, businessId, series, financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Prefix setting and fallback for each numbering series. All series share
+// the business's number format but keep independent counters.
+const SERIES = {
+  invoice: { prefixSetting: 'prefix', defaultPrefix: DEFAULT_PREFIX },
+  credit_note: { prefixSetting: 'credit_note_prefix', defaultPrefix: 'CN' },
+  quotation: { prefixSetting: 'quotation_prefix', defaultPrefix: 'QT' }
+};
+
+// Check the number format against the prefix of every series, for
+// invoice_settings as they would be saved
+const numberSettingsError = (settings = {}) => {
+  const format = settings.number_format || DEFAULT_FORMAT;
+  for (const config of Object.values(SERIES)) {
+    const error = numberFormatError(format, settings[config.prefixSetting] || config.defaultPrefix);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Generate the next document number in a series for a user's business
+const generateDocumentNumber = async ({ userId, business, series, date = new Date(), session }) => {
+  const config = SERIES[series];
+  if (!config) {
+    throw new Error(`Unknown numbering series "${series}"`);
+  }
+
+  const settings = (business && business.invoice_settings) || {};
+  const seq = await nextSequence({
+    userId,
+    businessId: business ? business._id : null,
+    series,
+    date,
+    session
+  });
+
+  return formatDocumentNumber(settings.number_format || DEFAULT_FORMAT, {
+    prefix: settings[config.prefixSetting] || config.defaultPrefix,
+    seq,
+    date
+  });
+};
+
+// Generate the next invoice number for a user's business
+const generateInvoiceNumber = (options) => generateDocumentNumber({ ...options, series: 'invoice' });
+
+module.exports = {
+  DEFAULT_PREFIX,
+  DEFAULT_FORMAT,
+  MAX_NUMBER_LENGTH,
+  getFinancialYear,
+  getFinancialYearCode,
+  isValidNumberFormat,
+  numberFormatError,
+  numberSettingsError,
+  formatDocumentNumber,
+  nextSequence,
+  generateDocumentNumber,
+  generateInvoiceNumber
+};
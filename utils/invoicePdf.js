@@ -0,0 +1,395 @@
+const PDFDocument = require('pdfkit');
+const { amountInWords } = require('./amountInWords');
+const { buildInvoiceUpiLink, generateUpiQr } = require('./upiService');
+const { DEFAULT_TEMPLATE } = require('./invoiceTemplates');
+
+const PAGE_MARGIN = 40;
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  border: '#cccccc'
+};
+
+// Colors and rules for each template layout. Classic with the default
+// template colors is the original look.
+const LAYOUT_STYLES = {
+  classic: (colors) => ({
+    title: colors.primary,
+    tableHead: { fill: colors.accent, color: COLORS.text },
+    rule: { color: COLORS.border, width: 1 },
+    rowLines: true
+  }),
+  modern: (colors) => ({
+    title: colors.primary,
+    tableHead: { fill: colors.primary, color: '#ffffff' },
+    rule: { color: colors.primary, width: 2 },
+    rowLines: true
+  }),
+  minimal: (colors) => ({
+    title: colors.primary,
+    tableHead: { fill: null, color: colors.primary },
+    rule: { color: COLORS.border, width: 0.5 },
+    rowLines: false
+  })
+};
+
+// Format a number as an Indian-style amount, e.g. 125000 -> 1,25,000.00
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+// Decode a stored logo into an image buffer PDFKit can embed. Logos are
+// stored as base64 (optionally as a data URI); remote URLs are skipped so
+// rendering never depends on the network.
+const decodeImage = (source) => {
+  if (!source || typeof source !== 'string') return null;
+
+  const dataUri = source.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+  const base64 = dataUri ? dataUri[2] : source;
+  if (!dataUri && !/^[A-Za-z0-9+/=\s]+$/.test(source)) return null;
+
+  try {
+    const buffer = Buffer.from(base64, 'base64');
+    const isPng = buffer.slice(0, 4).toString('hex') === '89504e47';
+    const isJpeg = buffer.slice(0, 2).toString('hex') === 'ffd8';
+    return isPng || isJpeg ? buffer : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Collect a PDFKit document into a single buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const drawHeader = (doc, invoice, business, template, style) => {
+  const top = PAGE_MARGIN;
+  const logo = decodeImage(business && business.business_logo);
+  let textLeft = PAGE_MARGIN;
+
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, top, { fit: [70, 70] });
+      textLeft = PAGE_MARGIN + 80;
+    } catch (error) {
+      // Ignore unreadable images and render the header without a logo
+    }
+  }
+
+  const address = business && business.business_address;
+  const contact = (business && business.contact_details) || {};
+
+  doc.fillColor(style.title).font('Helvetica-Bold').fontSize(16)
+    .text(business ? business.business_name : 'Invoice', textLeft, top, { width: 280 });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  if (address) {
+    doc.text(`${address.street}, ${address.city}`, { width: 280 });
+    doc.text(`${address.state} - ${address.pincode}`, { width: 280 });
+  }
+  if (business && business.gst_number) doc.text(`GSTIN: ${business.gst_number}`);
+  if (contact.phone) doc.text(`Phone: ${contact.phone}`);
+  if (contact.email) doc.text(`Email: ${contact.email}`);
+  const leftBottom = doc.y;
+
+  const rightX = 360;
+  doc.fillColor(style.title).font('Helvetica-Bold').fontSize(14)
+    .text(invoice.status === 'void' ? 'TAX INVOICE (CANCELLED)' : 'TAX INVOICE', rightX, top, { width: 195, align: 'right' });
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(9)
+    .text(`Invoice No: ${invoice.invoiceNumber}`, rightX, doc.y + 4, { width: 195, align: 'right' })
+    .text(`Date: ${formatDate(invoice.invoiceDate)}`, { width: 195, align: 'right' });
+  if (invoice.placeOfSupply && invoice.placeOfSupply.state) {
+    const code = invoice.placeOfSupply.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : '';
+    doc.text(`Place of Supply: ${invoice.placeOfSupply.state}${code}`, { width: 195, align: 'right' });
+  }
+
+  doc.y = Math.max(leftBottom, doc.y, top + 70) + 12;
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .lineWidth(style.rule.width).strokeColor(style.rule.color).stroke()
+    .lineWidth(1);
+  doc.y += 8;
+
+  if (template.headerText) {
+    doc.fillColor(style.title).font('Helvetica-Oblique').fontSize(9)
+      .text(template.headerText, PAGE_MARGIN, doc.y, { width: 515, align: 'center' });
+    doc.y += 8;
+  }
+};
+
+const drawCustomer = (doc, invoice) => {
+  const customer = invoice.customerInfo || {};
+  doc.x = PAGE_MARGIN;
+  doc.fillColor(COLORS.muted).font('Helvetica-Bold').fontSize(9).text('BILL TO');
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(customer.name || '-');
+  doc.font('Helvetica').fontSize(9);
+  if (customer.mobileNumber) doc.text(`Mobile: ${customer.mobileNumber}`);
+  if (customer.address) doc.text(customer.address, { width: 300 });
+  if (customer.state) doc.text(`State: ${customer.state}`);
+  if (customer.gstNumber) doc.text(`GSTIN: ${customer.gstNumber}`);
+  doc.y += 10;
+};
+
+// Draw a table row; columns are { label, width, align } and values are strings
+const drawRow = (doc, columns, values, { bold = false, fill = null, color = COLORS.text, line = true } = {}) => {
+  const y = doc.y;
+  const height = Math.max(...columns.map((col, i) =>
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5)
+      .heightOfString(String(values[i]), { width: col.width - 6 })
+  )) + 8;
+
+  if (y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    return drawRow(doc, columns, values, { bold, fill, color, line });
+  }
+
+  if (fill) {
+    doc.rect(PAGE_MARGIN, y, columns.reduce((sum, col) => sum + col.width, 0), height).fill(fill);
+  }
+
+  let x = PAGE_MARGIN;
+  doc.fillColor(color).font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+  columns.forEach((col, i) => {
+    doc.text(String(values[i]), x + 3, y + 4, { width: col.width - 6, align: col.align || 'left' });
+    x += col.width;
+  });
+
+  doc.y = y + height;
+  if (line) {
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(x, doc.y).strokeColor(COLORS.border).stroke();
+  }
+  return height;
+};
+
+// Item table columns. Optional ones name the template column setting that
+// shows them; the Item column takes up the width of hidden ones.
+const ITEM_COLUMNS = [
+  { label: '#', width: 22, align: 'center', value: (item, index) => index + 1 },
+  { label: 'Item', width: 144, value: item => item.productName },
+  { label: 'HSN/SAC', width: 52, option: 'hsnCode', value: item => item.hsnCode || '-' },
+  { label: 'Qty', width: 45, align: 'right', value: item => `${item.quantity} ${item.unit || ''}`.trim() },
+  { label: 'Rate', width: 55, align: 'right', value: item => formatAmount(item.price) },
+  {
+    label: 'Disc',
+    width: 45,
+    align: 'right',
+    option: 'discount',
+    value: item => formatAmount((item.discountAmount || 0) + (item.invoiceDiscountShare || 0))
+  },
+  { label: 'Taxable', width: 62, align: 'right', option: 'taxableValue', value: item => formatAmount(item.taxableValue) },
+  { label: 'GST %', width: 38, align: 'right', option: 'taxRate', value: item => item.taxRate },
+  { label: 'Amount', width: 52, align: 'right', value: item => formatAmount(item.total) }
+];
+
+const drawItems = (doc, invoice, template, style) => {
+  const shown = ITEM_COLUMNS.filter(col => !col.option || template.columns[col.option]);
+  const freed = ITEM_COLUMNS.reduce((sum, col) => sum + col.width, 0)
+    - shown.reduce((sum, col) => sum + col.width, 0);
+  const columns = shown.map(col => (col.label === 'Item' ? { ...col, width: col.width + freed } : col));
+
+  drawRow(doc, columns, columns.map(col => col.label), {
+    bold: true,
+    fill: style.tableHead.fill,
+    color: style.tableHead.color
+  });
+  invoice.items.forEach((item, index) => {
+    drawRow(doc, columns, columns.map(col => col.value(item, index)), { line: style.rowLines });
+  });
+  doc.y += 10;
+};
+
+const drawTotals = (doc, invoice) => {
+  const rows = [['Subtotal', invoice.subtotal]];
+  const discount = (invoice.itemDiscountTotal || 0) + (invoice.discountAmount || 0);
+  if (discount) rows.push(['Discount', -discount]);
+  rows.push(['Taxable Amount', invoice.taxableAmount]);
+  if (invoice.supplyType === 'inter_state') {
+    rows.push(['IGST', invoice.igstAmount]);
+  } else {
+    rows.push(['CGST', invoice.cgstAmount]);
+    rows.push(['SGST', invoice.sgstAmount]);
+  }
+  if (invoice.cessAmount) rows.push(['Cess', invoice.cessAmount]);
+  if (invoice.roundOff) rows.push(['Round Off', invoice.roundOff]);
+
+  if (doc.y + (rows.length + 2) * 14 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  const labelX = 330;
+  const valueX = 455;
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.text(label, labelX, y, { width: 120 });
+    doc.text(formatAmount(value), valueX, y, { width: 100, align: 'right' });
+  });
+
+  const y = doc.y + 4;
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text('Total (Rs.)', labelX, y, { width: 120 })
+    .text(formatAmount(invoice.totalAmount), valueX, y, { width: 100, align: 'right' });
+
+  if (invoice.amountPaid > 0 && invoice.balanceDue > 0) {
+    doc.font('Helvetica').fontSize(9);
+    [['Paid', invoice.amountPaid], ['Balance Due', invoice.balanceDue]].forEach(([label, value]) => {
+      const rowY = doc.y + 2;
+      doc.text(label, labelX, rowY, { width: 120 });
+      doc.text(formatAmount(value), valueX, rowY, { width: 100, align: 'right' });
+    });
+  }
+
+  doc.x = PAGE_MARGIN;
+  doc.y += 8;
+  doc.font('Helvetica-Oblique').fontSize(9)
+    .text(`Amount in words: ${amountInWords(invoice.totalAmount)}`, PAGE_MARGIN, doc.y, { width: 515 });
+  doc.y += 10;
+};
+
+const drawTaxSummary = (doc, invoice, style) => {
+  if (!invoice.taxSummary || invoice.taxSummary.length === 0) return;
+
+  const interState = invoice.supplyType === 'inter_state';
+  const columns = interState
+    ? [
+      { label: 'GST Rate', width: 100 },
+      { label: 'Taxable Value', width: 140, align: 'right' },
+      { label: 'IGST', width: 135, align: 'right' },
+      { label: 'Total Tax', width: 140, align: 'right' }
+    ]
+    : [
+      { label: 'GST Rate', width: 75 },
+      { label: 'Taxable Value', width: 115, align: 'right' },
+      { label: 'CGST', width: 110, align: 'right' },
+      { label: 'SGST', width: 110, align: 'right' },
+      { label: 'Total Tax', width: 105, align: 'right' }
+    ];
+
+  doc.x = PAGE_MARGIN;
+  doc.fillColor(COLORS.muted).font('Helvetica-Bold').fontSize(9).text('TAX SUMMARY');
+  doc.y += 4;
+  drawRow(doc, columns, columns.map(col => col.label), {
+    bold: true,
+    fill: style.tableHead.fill,
+    color: style.tableHead.color
+  });
+  invoice.taxSummary.forEach(row => {
+    const values = interState
+      ? [`${row.taxRate}%`, formatAmount(row.taxableValue), formatAmount(row.igstAmount), formatAmount(row.totalTax)]
+      : [`${row.taxRate}%`, formatAmount(row.taxableValue), formatAmount(row.cgstAmount), formatAmount(row.sgstAmount), formatAmount(row.totalTax)];
+    drawRow(doc, columns, values, { line: style.rowLines });
+  });
+  doc.y += 12;
+};
+
+const drawTerms = (doc, template) => {
+  if (!template.terms) return;
+
+  doc.font('Helvetica').fontSize(8.5);
+  const height = doc.heightOfString(template.terms, { width: 515 }) + 16;
+  if (doc.y + Math.min(height, 100) > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  doc.x = PAGE_MARGIN;
+  doc.fillColor(COLORS.muted).font('Helvetica-Bold').fontSize(9).text('TERMS & CONDITIONS');
+  doc.y += 2;
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(8.5)
+    .text(template.terms, PAGE_MARGIN, doc.y, { width: 515 });
+  doc.y += 12;
+};
+
+const drawFooter = (doc, invoice, business, upiQr, template) => {
+  const signature = decodeImage(template.signatureImage);
+  doc.font('Helvetica').fontSize(8);
+  const footerTextHeight = template.footerText
+    ? doc.heightOfString(template.footerText, { width: 515 }) + 4
+    : 0;
+  const blockHeight = upiQr ? 110 : 80;
+  if (doc.y + blockHeight + footerTextHeight > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  const y = doc.y;
+  doc.fillColor(COLORS.text).font('Helvetica').fontSize(9);
+  if (upiQr) {
+    doc.image(upiQr, PAGE_MARGIN, y, { fit: [90, 90] });
+    doc.font('Helvetica-Bold').text('Scan to pay with any UPI app', PAGE_MARGIN + 100, y + 20);
+    doc.font('Helvetica').text(`UPI ID: ${business.upi_id}`);
+    doc.text(`Amount: Rs. ${formatAmount(invoice.balanceDue !== undefined ? invoice.balanceDue : invoice.totalAmount)}`);
+  } else if (business && business.upi_id) {
+    doc.font('Helvetica-Bold').text('Pay via UPI', PAGE_MARGIN, y);
+    doc.font('Helvetica').text(`UPI ID: ${business.upi_id}`);
+  }
+
+  const signatureX = 360;
+  doc.font('Helvetica-Bold').text(`For ${business ? business.business_name : ''}`, signatureX, y, { width: 195, align: 'right' });
+  if (signature) {
+    try {
+      doc.image(signature, signatureX + 75, y + 13, { fit: [120, 34], align: 'right', valign: 'bottom' });
+    } catch (error) {
+      // Leave the space blank for signing by hand
+    }
+  }
+  doc.font('Helvetica').text('Authorised Signatory', signatureX, y + 50, { width: 195, align: 'right' });
+
+  let footerY = y + blockHeight - 5;
+  if (template.footerText) {
+    doc.fillColor(COLORS.text).fontSize(8)
+      .text(template.footerText, PAGE_MARGIN, footerY, { width: 515, align: 'center' });
+    footerY = doc.y + 4;
+  }
+  doc.fillColor(COLORS.muted).fontSize(8)
+    .text('This is a computer generated invoice.', PAGE_MARGIN, footerY, { width: 515, align: 'center' });
+};
+
+/**
+ * Render an invoice as a printable A4 tax invoice.
+ *
+ * @param {Object} invoice - Invoice document
+ * @param {Object|null} business - Business document used for branding
+ * @param {Object} [template] - Render settings from loadInvoiceTemplate
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const generateInvoicePdf = async (invoice, business, template = DEFAULT_TEMPLATE) => {
+  const style = LAYOUT_STYLES[template.layout](template.colors);
+  const upiLink = buildInvoiceUpiLink(invoice, business);
+  const upiQr = upiLink ? await generateUpiQr(upiLink, 'png') : null;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Invoice ${invoice.invoiceNumber}`,
+      Author: business ? business.business_name : 'Invoiz'
+    }
+  });
+
+  drawHeader(doc, invoice, business, template, style);
+  drawCustomer(doc, invoice);
+  drawItems(doc, invoice, template, style);
+  drawTotals(doc, invoice);
+  drawTaxSummary(doc, invoice, style);
+  drawTerms(doc, template);
+  drawFooter(doc, invoice, business, upiQr, template);
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  formatAmount,
+  formatDate,
+  decodeImage,
+  generateInvoicePdf
+};
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Invoice = require('../models/Invoice');
+const HttpError = require('./httpError');
+const { generateInvoiceNumber } = require('./invoiceNumberService');
+const { calculateInvoice, assertClientTotal } = require('./invoiceCalculator');
+const { determineSupply, GST_RATE_SLABS } = require('./gstService');
+const { buildInitialPayments, describePaymentMethods } = require('./paymentService');
+const { resolveCustomerInfo, upsertCustomerFromInvoice } = require('./customerService');
+const { recordInvoiceIssued } = require('./ledgerService');
+const { pricePointsTenders, invoiceLoyalty, recordInvoicePoints } = require('./loyaltyService');
+
+// Run a callback inside a transaction, reusing the caller's session if given
+const runInTransaction = async (session, callback) => {
+  if (session) {
+    return callback(session);
+  }
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await callback(ownSession);
+    });
+    return result;
+  } finally {
+    await ownSession.endSession();
+  }
+};
+
+// Check the shape of an invoice request before touching the database
+const validateInvoicePayload = (payload = {}) => {
+  const { items, customerInfo } = payload;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new HttpError('Items are required');
+  }
+
+  if (!customerInfo || !customerInfo.name || !customerInfo.mobileNumber) {
+    throw new HttpError('Customer information (name and mobile number) is required');
+  }
+
+  const invalidItem = items.find(item =>
+    !item || !mongoose.Types.ObjectId.isValid(item.productId) ||
+    !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0
+  );
+  if (invalidItem) {
+    throw new HttpError('Each item requires a valid productId and a positive whole-number quantity');
+  }
+};
+
+/**
+ * Load the products on an invoice request and price it. Prices and tax rates
+ * always come from the product, never from the request.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Owner of the products
+ * @param {Object|null} params.business - Business document (supplier state)
+ * @param {Object} params.payload - Invoice request body
+ * @param {ClientSession} [params.session] - Session to read products in
+ * @param {boolean} [params.checkStock] - Reject lines with insufficient stock
+ * @returns {Promise<{ lines: Array, totals: Object, supply: Object }>}
+ */
+const priceInvoice = async ({ userId, business, payload, session = null, checkStock = true }) => {
+  const { items, customerInfo, discountAmount, discountType } = payload;
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const product = await Product.findOne({
+      _id: item.productId,
+      userId
+    }).session(session);
+
+    if (!product) {
+      throw new HttpError(`Product with ID ${item.productId} not found`, 404);
+    }
+
+    if (!product.isActive) {
+      throw new HttpError(`${product.name} is not active and cannot be sold`);
+    }
+
+    if (!GST_RATE_SLABS.includes(product.taxRate || 0)) {
+      throw new HttpError(`${product.name} has a tax rate of ${product.taxRate}%, which is not a GST slab. Update the product's tax rate before selling it.`);
+    }
+
+    if (checkStock && product.stockQuantity < quantity) {
+      throw new HttpError(`Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Required: ${quantity}`, 409);
+    }
+
+    lines.push({
+      product,
+      quantity,
+      discountAmount: item.discountAmount,
+      discountType: item.discountType
+    });
+  }
+
+  // Place of supply decides between CGST + SGST and IGST
+  const supply = determineSupply(business, customerInfo);
+  const totals = calculateInvoice({
+    lines,
+    discountAmount,
+    discountType,
+    isInterState: supply.isInterState
+  });
+
+  return { lines, totals, supply };
+};
+
+// Decrement stock for priced lines. The stock condition in the filter guards
+// against the same product appearing twice and against concurrent sales.
+const decrementStock = async ({ userId, lines, session }) => {
+  const stockUpdates = [];
+  for (const { product, quantity } of lines) {
+    const updatedProduct = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        userId,
+        stockQuantity: { $gte: quantity }
+      },
+      {
+        $inc: { stockQuantity: -quantity },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true, session }
+    );
+
+    if (!updatedProduct) {
+      throw new HttpError(`Insufficient stock for ${product.name}`, 409);
+    }
+
+    stockUpdates.push({
+      productId: product._id,
+      productName: updatedProduct.name,
+      oldStock: updatedProduct.stockQuantity + quantity,
+      newStock: updatedProduct.stockQuantity,
+      quantitySold: quantity
+    });
+  }
+  return stockUpdates;
+};
+
+// Fields stored on a draft so it can be priced again at finalization
+const draftFields = (payload) => ({
+  customerInfo: payload.customerInfo,
+  customerId: payload.customerId || null,
+  discountType: payload.discountType,
+  discountValue: payload.discountAmount || 0,
+  paymentMethod: payload.paymentMethod,
+  notes: payload.notes
+});
+
+/**
+ * Issue an invoice: price it, decrement stock, assign the next sequential
+ * number and persist it, all in one transaction. This is the single creation
+ * path used by the invoice routes and anything else that raises invoices.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - User raising the invoice
+ * @param {Object|null} params.business - User's business document
+ * @param {Object} params.payload - Invoice request body; customerId picks a saved customer,
+ *   otherwise the customer is found or created by customerInfo.mobileNumber
+ * @param {ObjectId} [params.draftId] - Draft invoice to finalize instead of creating a new one
+ * @param {ClientSession} [params.session] - Existing transaction to join
+ * @param {Object} [params.offline] - { clientId, clientCreatedAt } for a bill made offline;
+ *   the invoice is dated when the client created it
+ * @returns {Promise<{ invoice: Object, stockUpdates: Array }>}
+ */
+const issueInvoice = async ({ userId, business, payload, draftId = null, session = null, offline = null }) => {
+  payload = await resolveCustomerInfo({ userId, payload, session });
+  validateInvoicePayload(payload);
+
+  return runInTransaction(session, async (txn) => {
+    let draft = null;
+    if (draftId) {
+      draft = await Invoice.findOne({ _id: draftId, userId }).session(txn);
+      if (!draft) {
+        throw new HttpError('Invoice not found', 404);
+      }
+      if (draft.status !== 'draft') {
+        throw new HttpError('Only draft invoices can be finalized', 409);
+      }
+    }
+
+    const { lines, totals, supply } = await priceInvoice({ userId, business, payload, session: txn });
+    assertClientTotal(payload.totalAmount, totals.totalAmount);
+
+    // Split tenders must add up to the server-calculated total
+    const tenders = buildInitialPayments({
+      payments: pricePointsTenders(payload.payments, business),
+      paymentMethod: payload.paymentMethod,
+      totalAmount: totals.totalAmount,
+      userId
+    });
+
+    const stockUpdates = await decrementStock({ userId, lines, session: txn });
+
+    // Link the sale to the customer master, adding the customer on their
+    // first purchase
+    let { customerId, customerInfo } = payload;
+    if (!customerId) {
+      const customer = await upsertCustomerFromInvoice({ userId, business, customerInfo, session: txn });
+      if (customer) {
+        customerId = customer._id;
+        customerInfo = { ...customerInfo, mobileNumber: customer.mobileNumber };
+      }
+    }
+
+    const loyalty = invoiceLoyalty({ business, customerId, totalAmount: totals.totalAmount, tenders });
+
+    // Take the next sequential number inside the transaction so an aborted
+    // sale never leaves a gap in the series
+    const invoiceDate = offline ? offline.clientCreatedAt : new Date();
+    const invoiceNumber = await generateInvoiceNumber({
+      userId,
+      business,
+      date: invoiceDate,
+      session: txn
+    });
+
+    // Line items snapshot the product so the invoice stays accurate even if
+    // the product is edited or deleted later
+    const invoiceData = {
+      invoiceNumber,
+      invoiceDate,
+      status: 'issued',
+      customerInfo,
+      customerId: customerId || null,
+      placeOfSupply: supply.placeOfSupply,
+      ...totals,
+      paymentMethod: describePaymentMethods(tenders) || payload.paymentMethod,
+      payments: tenders,
+      loyalty,
+      notes: payload.notes,
+      ...(offline && {
+        clientId: offline.clientId,
+        clientCreatedAt: offline.clientCreatedAt,
+        syncedAt: new Date()
+      }),
+      userId,
+      businessId: business ? business._id : null
+    };
+
+    let invoice;
+    if (draft) {
+      draft.set(invoiceData);
+      invoice = await draft.save({ session: txn });
+    } else {
+      [invoice] = await Invoice.create([invoiceData], { session: txn });
+    }
+
+    // Post the sale to the customer's ledger; a sale on credit past the
+    // customer's credit limit aborts the whole transaction
+    await recordInvoiceIssued({ invoice, session: txn });
+    await recordInvoicePoints({ invoice, session: txn });
+
+    return { invoice, stockUpdates };
+  });
+};
+
+/**
+ * Save (or replace) a draft invoice. Drafts are priced so the held bill shows
+ * current totals, but stock is not checked or touched and no number is
+ * assigned until the draft is finalized.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - User holding the bill
+ * @param {Object|null} params.business - User's business document
+ * @param {Object} params.payload - Invoice request body
+ * @param {ObjectId} [params.draftId] - Existing draft to replace
+ * @param {ClientSession} [params.session] - Transaction to save in
+ * @returns {Promise<Object>} Saved draft invoice
+ */
+const saveDraft = async ({ userId, business, payload, draftId = null, session = null }) => {
+  payload = await resolveCustomerInfo({ userId, payload, session });
+  validateInvoicePayload(payload);
+
+  const { totals, supply } = await priceInvoice({ userId, business, payload, checkStock: false, session });
+  const data = {
+    ...draftFields(payload),
+    placeOfSupply: supply.placeOfSupply,
+    ...totals,
+    status: 'draft',
+    invoiceDate: new Date(),
+    userId,
+    businessId: business ? business._id : null
+  };
+
+  if (!draftId) {
+    const [draft] = await Invoice.create([data], { session });
+    return draft;
+  }
+
+  const draft = await Invoice.findOne({ _id: draftId, userId }).session(session);
+  if (!draft) {
+    throw new HttpError('Invoice not found', 404);
+  }
+  if (draft.status !== 'draft') {
+    throw new HttpError('Only draft invoices can be edited', 409);
+  }
+  draft.set(data);
+  return draft.save({ session });
+};
+
+// Rebuild an invoice request from a stored draft or quotation, letting the
+// finalize or convert request supply payment details and the client's total
+const payloadFromDraft = (draft, overrides = {}) => ({
+  items: draft.items.map(item => ({
+    productId: item.productId,
+    quantity: item.quantity,
+    discountAmount: item.discountValue,
+    discountType: item.discountType
+  })),
+  customerInfo: overrides.customerInfo || (draft.customerInfo && draft.customerInfo.toObject ? draft.customerInfo.toObject() : draft.customerInfo),
+  customerId: overrides.customerId || draft.customerId,
+  discountAmount: draft.discountValue,
+  discountType: draft.discountType,
+  paymentMethod: overrides.paymentMethod || draft.paymentMethod,
+  payments: overrides.payments,
+  totalAmount: overrides.totalAmount,
+  notes: overrides.notes !== undefined ? overrides.notes : draft.notes
+});
+
+module.exports = {
+  runInTransaction,
+  validateInvoicePayload,
+  priceInvoice,
+  decrementStock,
+  issueInvoice,
+  saveDraft,
+  payloadFromDraft
+};
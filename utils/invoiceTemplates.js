@@ -0,0 +1,141 @@
+const InvoiceTemplate = require('../models/InvoiceTemplate');
+const User = require('../models/User');
+const HttpError = require('./httpError');
+const { getActivePlan } = require('./subscriptionPlan');
+
+// What invoices look like when no template is selected; matches the
+// schema defaults in models/InvoiceTemplate.js
+const DEFAULT_TEMPLATE = Object.freeze({
+  layout: 'classic',
+  colors: Object.freeze({ primary: '#222222', accent: '#f2f2f2' }),
+  headerText: '',
+  footerText: '',
+  terms: '',
+  columns: Object.freeze({ hsnCode: true, discount: true, taxableValue: true, taxRate: true }),
+  signatureImage: null
+});
+
+// Template features per subscription plan, keyed like SUBSCRIPTION_PLANS in
+// razorpayService.js. Header, footer and terms text are available to all.
+const TEMPLATE_PLANS = {
+  basic: {
+    layouts: ['classic'],
+    customColors: false,
+    customColumns: false,
+    signature: false,
+    maxTemplates: 1
+  },
+  pro: {
+    layouts: ['classic', 'modern'],
+    customColors: true,
+    customColumns: true,
+    signature: false,
+    maxTemplates: 5
+  },
+  premium: {
+    layouts: ['classic', 'modern', 'minimal'],
+    customColors: true,
+    customColumns: true,
+    signature: true,
+    maxTemplates: 20
+  },
+  enterprise: {
+    layouts: ['classic', 'modern', 'minimal'],
+    customColors: true,
+    customColumns: true,
+    signature: true,
+    maxTemplates: null
+  }
+};
+
+const getTemplateAccess = (plan) => ({ plan, ...TEMPLATE_PLANS[plan] });
+
+const usesCustomColors = (template) => {
+  const colors = template.colors || {};
+  return (colors.primary || DEFAULT_TEMPLATE.colors.primary).toLowerCase() !== DEFAULT_TEMPLATE.colors.primary
+    || (colors.accent || DEFAULT_TEMPLATE.colors.accent).toLowerCase() !== DEFAULT_TEMPLATE.colors.accent;
+};
+
+const hidesColumns = (template) => Object.keys(DEFAULT_TEMPLATE.columns)
+  .some(key => template.columns && template.columns[key] === false);
+
+// Reject a template that uses features outside the plan
+const assertTemplateAllowed = (template, plan) => {
+  const access = TEMPLATE_PLANS[plan];
+  const upgrade = (feature) => new HttpError(
+    `${feature} is not available on the ${plan} plan. Upgrade your subscription to use it.`,
+    403,
+    { plan, upgradeRequired: true }
+  );
+
+  if (!access.layouts.includes(template.layout || DEFAULT_TEMPLATE.layout)) {
+    throw upgrade(`The ${template.layout} layout`);
+  }
+  if (!access.customColors && usesCustomColors(template)) {
+    throw upgrade('Custom colors');
+  }
+  if (!access.customColumns && hidesColumns(template)) {
+    throw upgrade('Choosing item columns');
+  }
+  if (!access.signature && template.signatureImage) {
+    throw upgrade('A signature image');
+  }
+};
+
+// Settings to render with. A template saved on a higher plan keeps working
+// after a downgrade, without the features the current plan does not include.
+const toRenderTemplate = (template, plan) => {
+  if (!template) return DEFAULT_TEMPLATE;
+
+  const access = TEMPLATE_PLANS[plan];
+  const colors = template.colors || {};
+  const columns = template.columns || {};
+
+  return {
+    layout: access.layouts.includes(template.layout) ? template.layout : DEFAULT_TEMPLATE.layout,
+    colors: access.customColors
+      ? {
+        primary: colors.primary || DEFAULT_TEMPLATE.colors.primary,
+        accent: colors.accent || DEFAULT_TEMPLATE.colors.accent
+      }
+      : DEFAULT_TEMPLATE.colors,
+    headerText: template.headerText || '',
+    footerText: template.footerText || '',
+    terms: template.terms || '',
+    columns: access.customColumns
+      ? Object.keys(DEFAULT_TEMPLATE.columns).reduce((shown, key) => {
+        shown[key] = columns[key] !== false;
+        return shown;
+      }, {})
+      : DEFAULT_TEMPLATE.columns,
+    signatureImage: access.signature ? template.signatureImage || null : null
+  };
+};
+
+/**
+ * Load the template a business has selected, limited to what its owner's
+ * plan allows.
+ *
+ * @param {Object|null} business - Business document
+ * @returns {Promise<Object>} Render settings for invoicePdf and invoiceHtml
+ */
+const loadInvoiceTemplate = async (business) => {
+  const templateId = business && business.invoice_settings && business.invoice_settings.template_id;
+  if (!templateId) return DEFAULT_TEMPLATE;
+
+  const [template, owner] = await Promise.all([
+    InvoiceTemplate.findOne({ _id: templateId, userId: business.user_id }).lean(),
+    User.findById(business.user_id).select('subscription')
+  ]);
+
+  return toRenderTemplate(template, getActivePlan(owner));
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_PLANS,
+  getTemplateAccess,
+  assertTemplateAllowed,
+  toRenderTemplate,
+  loadInvoiceTemplate
+};
@@ -0,0 +1,239 @@
+const Customer = require('../models/Customer');
+const CustomerLedgerEntry = require('../models/CustomerLedgerEntry');
+const Invoice = require('../models/Invoice');
+const HttpError = require('./httpError');
+const { roundMoney } = require('./invoiceCalculator');
+const { AMOUNT_EPSILON } = require('./paymentService');
+
+/**
+ * Add entries to the ledger of an invoice's customer and move the customer's
+ * outstanding balance by their net amount. Runs in the caller's transaction
+ * so the ledger always changes together with the invoice.
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice the entries belong to
+ * @param {Array} params.entries - { type, entryDate, debit, credit, ... }
+ * @param {ClientSession} params.session - Transaction to write in
+ * @param {boolean} [params.enforceCreditLimit] - Refuse entries that take the
+ *   balance past the customer's credit limit
+ * @returns {Promise<Object|null>} Updated customer
+ */
+const postEntries = async ({ invoice, entries, session, enforceCreditLimit = false }) => {
+  const net = roundMoney(entries.reduce((sum, entry) => sum + (entry.debit || 0) - (entry.credit || 0), 0));
+  const filter = { _id: invoice.customerId, userId: invoice.userId };
+
+  // The limit is checked in the update itself so two sales on credit at the
+  // same moment cannot both slip under it
+  if (enforceCreditLimit && net > AMOUNT_EPSILON) {
+    filter.$or = [
+      { creditLimit: null },
+      { $expr: { $lte: [{ $add: ['$outstandingBalance', net] }, { $add: ['$creditLimit', AMOUNT_EPSILON] }] } }
+    ];
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { outstandingBalance: net } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const existing = await Customer.findOne({ _id: invoice.customerId, userId: invoice.userId }).session(session);
+    if (!existing) return null;
+
+    const outstandingBalance = roundMoney(existing.outstandingBalance);
+    throw new HttpError(
+      `Credit limit of ${existing.creditLimit} for ${existing.name} would be exceeded. Outstanding: ${outstandingBalance}, this invoice adds ${net}.`,
+      422,
+      { creditLimit: existing.creditLimit, outstandingBalance, requestedCredit: net }
+    );
+  }
+
+  await CustomerLedgerEntry.insertMany(entries.map(entry => ({
+    ...entry,
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    customerId: invoice.customerId,
+    userId: invoice.userId,
+    businessId: invoice.businessId
+  })), { session });
+
+  return customer;
+};
+
+const paymentEntry = (invoice, payment, entryDate) => ({
+  type: 'payment',
+  entryDate,
+  credit: payment.amount,
+  description: `Payment received against ${invoice.invoiceNumber} (${payment.method})`,
+  paymentMethod: payment.method,
+  reference: payment.reference
+});
+
+// An issued invoice is a debit; tenders paid at the counter settle it at once
+// and only the part sold on credit stays outstanding
+const recordInvoiceIssued = ({ invoice, session }) => {
+  if (!invoice.customerId) return null;
+
+  const entries = [{
+    type: 'invoice',
+    entryDate: invoice.invoiceDate,
+    debit: invoice.totalAmount,
+    description: `Invoice ${invoice.invoiceNumber}`
+  }];
+  invoice.payments
+    .filter(payment => payment.method !== 'credit')
+    .forEach(payment => entries.push(paymentEntry(invoice, payment, invoice.invoiceDate)));
+
+  return postEntries({ invoice, entries, session, enforceCreditLimit: true });
+};
+
+// A payment received after the sale
+const recordPayment = ({ invoice, payment, session }) => {
+  if (!invoice.customerId) return null;
+  return postEntries({ invoice, entries: [paymentEntry(invoice, payment, payment.paidAt)], session });
+};
+
+// A credit note settles what is still owed on the invoice; anything above
+// that was handed back to the customer and is recorded as a refund. Call
+// before the credit note is added to invoice.creditedAmount.
+const recordCreditNote = ({ invoice, creditNote, session }) => {
+  if (!invoice.customerId) return null;
+
+  const owedOnInvoice = Math.max(0, roundMoney(invoice.totalAmount - invoice.amountPaid - (invoice.creditedAmount || 0)));
+  const refund = roundMoney(Math.max(0, creditNote.totalAmount - owedOnInvoice));
+
+  const entries = [{
+    type: 'credit_note',
+    entryDate: creditNote.creditNoteDate,
+    credit: creditNote.totalAmount,
+    description: `Credit note ${creditNote.creditNoteNumber} against ${invoice.invoiceNumber}`,
+    creditNoteId: creditNote._id,
+    creditNoteNumber: creditNote.creditNoteNumber
+  }];
+  if (refund > AMOUNT_EPSILON) {
+    entries.push({
+      type: 'refund',
+      entryDate: creditNote.creditNoteDate,
+      debit: refund,
+      description: `Refund for credit note ${creditNote.creditNoteNumber}`,
+      creditNoteId: creditNote._id,
+      creditNoteNumber: creditNote.creditNoteNumber
+    });
+  }
+
+  return postEntries({ invoice, entries, session });
+};
+
+// A voided invoice is reversed in full; whatever had been paid on it is
+// treated as refunded
+const recordVoid = ({ invoice, session }) => {
+  if (!invoice.customerId) return null;
+
+  const voidedAt = (invoice.voidInfo && invoice.voidInfo.voidedAt) || new Date();
+  const entries = [{
+    type: 'void',
+    entryDate: voidedAt,
+    credit: invoice.totalAmount,
+    description: `Invoice ${invoice.invoiceNumber} cancelled`
+  }];
+  if (invoice.amountPaid > AMOUNT_EPSILON) {
+    entries.push({
+      type: 'refund',
+      entryDate: voidedAt,
+      debit: invoice.amountPaid,
+      description: `Refund for cancelled invoice ${invoice.invoiceNumber}`
+    });
+  }
+
+  return postEntries({ invoice, entries, session });
+};
+
+/**
+ * A customer's statement between two dates with a running balance.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Owner of the customer
+ * @param {ObjectId} params.customerId - Customer whose ledger to read
+ * @param {Date} [params.from] - First instant to include
+ * @param {Date} [params.to] - Instant to stop before
+ * @returns {Promise<Object>} Opening balance, entries, totals and closing balance
+ */
+const getLedger = async ({ userId, customerId, from = null, to = null }) => {
+  const match = { userId, customerId };
+
+  let openingBalance = 0;
+  if (from) {
+    const [before] = await CustomerLedgerEntry.aggregate([
+      { $match: { ...match, entryDate: { $lt: from } } },
+      { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+    ]);
+    openingBalance = before ? roundMoney(before.debit - before.credit) : 0;
+  }
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+
+  const entries = await CustomerLedgerEntry.find({
+    ...match,
+    ...(from || to ? { entryDate: range } : {})
+  }).sort({ entryDate: 1, _id: 1 }).lean();
+
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const lines = entries.map(entry => {
+    totalDebit += entry.debit;
+    totalCredit += entry.credit;
+    balance = roundMoney(balance + entry.debit - entry.credit);
+    return { ...entry, balance };
+  });
+
+  return {
+    openingBalance,
+    entries: lines,
+    totalDebit: roundMoney(totalDebit),
+    totalCredit: roundMoney(totalCredit),
+    closingBalance: balance
+  };
+};
+
+/**
+ * How long each customer has owed: their oldest issued invoice with a
+ * balance and how many such invoices there are.
+ *
+ * @param {ObjectId} userId - Owner of the customers
+ * @param {Array<ObjectId>} customerIds - Customers to look up
+ * @returns {Promise<Map>} { oldestUnpaidInvoiceDate, unpaidInvoices } keyed
+ *   by customer ID string; customers with nothing unpaid are left out
+ */
+const getUnpaidInvoiceSummary = async (userId, customerIds) => {
+  const unpaid = await Invoice.aggregate([
+    {
+      $match: {
+        userId,
+        customerId: { $in: customerIds },
+        status: 'issued',
+        balanceDue: { $gt: AMOUNT_EPSILON }
+      }
+    },
+    {
+      $group: {
+        _id: '$customerId',
+        oldestUnpaidInvoiceDate: { $min: '$invoiceDate' },
+        unpaidInvoices: { $sum: 1 }
+      }
+    }
+  ]);
+  return new Map(unpaid.map(row => [String(row._id), row]));
+};
+
+module.exports = {
+  recordInvoiceIssued,
+  recordPayment,
+  recordCreditNote,
+  recordVoid,
+  getLedger,
+  getUnpaidInvoiceSummary
+};
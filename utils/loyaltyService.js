@@ -0,0 +1,248 @@
+const Customer = require('../models/Customer');
+const LoyaltyPointsEntry = require('../models/LoyaltyPointsEntry');
+const HttpError = require('./httpError');
+const { roundMoney } = require('./invoiceCalculator');
+
+// Loyalty rule of a business, or null when the programme is switched off
+const getLoyaltySettings = (business) => (
+  business && business.loyalty_settings && business.loyalty_settings.enabled ? business.loyalty_settings : null
+);
+
+const isPointsTender = (payment) => String((payment && payment.method) || '').trim().toLowerCase() === 'points';
+
+// Rupee value of a number of points
+const pointsValue = (points, settings) => roundMoney(points * settings.point_value);
+
+// Points earned on an amount: earn_points for every whole earn_spend_amount
+const pointsForAmount = (amount, settings) => (
+  Math.floor(amount / settings.earn_spend_amount + 1e-9) * settings.earn_points
+);
+
+// Part of an invoice paid with points
+const redeemedValue = (invoice) => roundMoney((invoice.payments || [])
+  .filter(payment => payment.method === 'points')
+  .reduce((sum, payment) => sum + payment.amount, 0));
+
+/**
+ * Price the points tenders in an invoice request. The amount of a points
+ * tender is always worked out from its points and the business's point
+ * value; any amount the client sent is ignored.
+ *
+ * @param {Array|undefined} payments - Tenders from the request
+ * @param {Object|null} business - User's business document
+ * @returns {Array|undefined} The tenders with points tenders priced
+ */
+const pricePointsTenders = (payments, business) => {
+  if (!Array.isArray(payments) || !payments.some(isPointsTender)) return payments;
+
+  const settings = getLoyaltySettings(business);
+  if (!settings) {
+    throw new HttpError('Loyalty points are not enabled for this business');
+  }
+
+  return payments.map(payment => {
+    if (!isPointsTender(payment)) return payment;
+
+    const points = Number(payment.points);
+    if (!Number.isInteger(points) || points <= 0) {
+      throw new HttpError('A points payment requires a whole number of points');
+    }
+    return { ...payment, amount: pointsValue(points, settings) };
+  });
+};
+
+/**
+ * Loyalty figures for a new invoice: points spent on points tenders and
+ * points earned on the rest of the total.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.business - User's business document
+ * @param {ObjectId|null} params.customerId - Customer the invoice is for
+ * @param {number} params.totalAmount - Invoice total
+ * @param {Array} params.tenders - Normalized tenders
+ * @returns {Object} { pointsEarned, pointsRedeemed }
+ */
+const invoiceLoyalty = ({ business, customerId, totalAmount, tenders }) => {
+  const pointsRedeemed = tenders
+    .filter(tender => tender.method === 'points')
+    .reduce((sum, tender) => sum + tender.points, 0);
+
+  if (pointsRedeemed > 0 && !customerId) {
+    throw new HttpError('Loyalty points can only be redeemed by a customer with a valid mobile number');
+  }
+
+  const settings = getLoyaltySettings(business);
+  const pointsEarned = settings && customerId
+    ? pointsForAmount(totalAmount - redeemedValue({ payments: tenders }), settings)
+    : 0;
+
+  return { pointsEarned, pointsRedeemed };
+};
+
+/**
+ * Move a customer's points balance and add the entries to their points
+ * ledger, in the caller's transaction.
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice the entries belong to
+ * @param {Array} params.entries - { type, points, entryDate, ... }
+ * @param {ClientSession} params.session - Transaction to write in
+ * @param {number} [params.requiredBalance] - Points the customer must hold
+ *   for the entries to apply
+ * @returns {Promise<Object|null>} Updated customer
+ */
+const postPoints = async ({ invoice, entries, session, requiredBalance = 0 }) => {
+  const net = entries.reduce((sum, entry) => sum + entry.points, 0);
+  const filter = { _id: invoice.customerId, userId: invoice.userId };
+
+  // Checked in the update itself so two sales cannot spend the same points
+  if (requiredBalance > 0) {
+    filter.loyaltyPoints = { $gte: requiredBalance };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { loyaltyPoints: net } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const existing = await Customer.findOne({ _id: invoice.customerId, userId: invoice.userId }).session(session);
+    if (!existing) return null;
+
+    throw new HttpError(
+      `${existing.name} has ${existing.loyaltyPoints} loyalty points; ${requiredBalance} were requested.`,
+      422,
+      { pointsBalance: existing.loyaltyPoints, requestedPoints: requiredBalance }
+    );
+  }
+
+  let balance = customer.loyaltyPoints - net;
+  await LoyaltyPointsEntry.insertMany(entries.map(entry => {
+    balance += entry.points;
+    return {
+      ...entry,
+      balanceAfter: balance,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      customerId: invoice.customerId,
+      userId: invoice.userId,
+      businessId: invoice.businessId
+    };
+  }), { session });
+
+  return customer;
+};
+
+// Spend the points redeemed on a new invoice and credit the points it
+// earned. Refused when the customer does not hold enough points.
+const recordInvoicePoints = ({ invoice, session }) => {
+  const { pointsEarned = 0, pointsRedeemed = 0 } = invoice.loyalty || {};
+  if (!invoice.customerId || (pointsEarned === 0 && pointsRedeemed === 0)) return null;
+
+  const entries = [];
+  if (pointsRedeemed > 0) {
+    entries.push({
+      type: 'redeem',
+      points: -pointsRedeemed,
+      entryDate: invoice.invoiceDate,
+      description: `Redeemed on invoice ${invoice.invoiceNumber}`
+    });
+  }
+  if (pointsEarned > 0) {
+    entries.push({
+      type: 'earn',
+      points: pointsEarned,
+      entryDate: invoice.invoiceDate,
+      description: `Earned on invoice ${invoice.invoiceNumber}`
+    });
+  }
+
+  return postPoints({ invoice, entries, session, requiredBalance: pointsRedeemed });
+};
+
+// A return takes back the earned points in the share of the invoice total
+// that has been credited, rounded in the customer's favour until the whole
+// invoice is returned. The credit note refunds every tender alike, so a
+// return of half of an invoice paid half in points takes back half the
+// points. Points redeemed on the invoice are not given back; the credit note
+// covers their value. Call after invoice.creditedAmount includes the credit
+// note, then save the invoice.
+const reverseReturnPoints = ({ invoice, creditNote, session }) => {
+  const loyalty = invoice.loyalty;
+  if (!invoice.customerId || !loyalty || !(loyalty.pointsEarned > 0) || !(invoice.totalAmount > 0)) return null;
+
+  const credited = Math.min(invoice.creditedAmount || 0, invoice.totalAmount);
+  const due = Math.floor(loyalty.pointsEarned * credited / invoice.totalAmount + 1e-9);
+  const reverse = due - loyalty.pointsReversed;
+  if (reverse <= 0) return null;
+
+  loyalty.pointsReversed += reverse;
+  return postPoints({
+    invoice,
+    entries: [{
+      type: 'earn_reversal',
+      points: -reverse,
+      entryDate: creditNote.creditNoteDate,
+      description: `Reversed for credit note ${creditNote.creditNoteNumber} against ${invoice.invoiceNumber}`,
+      creditNoteId: creditNote._id,
+      creditNoteNumber: creditNote.creditNoteNumber
+    }],
+    session
+  });
+};
+
+// A voided invoice takes back whatever points it still gave and returns the
+// points redeemed on it. The balance may go below zero if the earned points
+// were already spent. Save the invoice afterwards.
+const reverseVoidPoints = ({ invoice, session }) => {
+  const loyalty = invoice.loyalty;
+  if (!invoice.customerId || !loyalty) return null;
+
+  const voidedAt = (invoice.voidInfo && invoice.voidInfo.voidedAt) || new Date();
+  const entries = [];
+
+  const unreversed = loyalty.pointsEarned - loyalty.pointsReversed;
+  if (unreversed > 0) {
+    entries.push({
+      type: 'earn_reversal',
+      points: -unreversed,
+      entryDate: voidedAt,
+      description: `Reversed for cancelled invoice ${invoice.invoiceNumber}`
+    });
+    loyalty.pointsReversed = loyalty.pointsEarned;
+  }
+  if (loyalty.pointsRedeemed > 0 && !loyalty.redeemedReturned) {
+    entries.push({
+      type: 'redeem_reversal',
+      points: loyalty.pointsRedeemed,
+      entryDate: voidedAt,
+      description: `Returned from cancelled invoice ${invoice.invoiceNumber}`
+    });
+    loyalty.redeemedReturned = true;
+  }
+
+  if (entries.length === 0) return null;
+  return postPoints({ invoice, entries, session });
+};
+
+// Points balance as shown at the billing screen
+const describePointsBalance = (customer, business) => {
+  const settings = getLoyaltySettings(business);
+  const points = customer.loyaltyPoints || 0;
+  return {
+    loyaltyEnabled: Boolean(settings),
+    points,
+    pointValue: settings ? settings.point_value : null,
+    redeemableValue: settings && points > 0 ? pointsValue(points, settings) : 0
+  };
+};
+
+module.exports = {
+  pricePointsTenders,
+  invoiceLoyalty,
+  recordInvoicePoints,
+  reverseReturnPoints,
+  reverseVoidPoints,
+  describePointsBalance
+};
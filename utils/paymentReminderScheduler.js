@@ -0,0 +1,47 @@
+const { runDueReminders } = require('./paymentReminderService');
+
+// How often the scheduler looks for overdue customers; 0 disables it
+const getIntervalMinutes = () => {
+  const minutes = parseFloat(process.env.PAYMENT_REMINDER_INTERVAL_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 60;
+};
+
+let timer = null;
+let running = false;
+
+// Start the in-process scheduler. Reminders are spaced by each business's
+// cadence, so running more often than daily only makes them go out sooner
+// after a balance becomes overdue.
+const startPaymentReminderScheduler = () => {
+  const minutes = getIntervalMinutes();
+  if (timer || minutes === 0) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueReminders();
+    } catch (error) {
+      console.error('Payment reminder scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+  console.log(`🔔 Payment reminder scheduler running every ${minutes} minutes`);
+};
+
+const stopPaymentReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startPaymentReminderScheduler,
+  stopPaymentReminderScheduler
+};
@@ -0,0 +1,281 @@
+const Business = require('../models/Business');
+const Customer = require('../models/Customer');
+const PaymentReminder = require('../models/PaymentReminder');
+const User = require('../models/User');
+const HttpError = require('./httpError');
+const { roundMoney } = require('./invoiceCalculator');
+const { AMOUNT_EPSILON } = require('./paymentService');
+const { formatAmount, formatDate } = require('./invoicePdf');
+const { buildUpiLink } = require('./upiService');
+const { getUnpaidInvoiceSummary } = require('./ledgerService');
+const { REMINDER_CHANNELS, getRecipient, sendThroughChannel } = require('./reminderChannels');
+const { getActivePlan, planIncludes } = require('./subscriptionPlan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowest plan for sending reminders from the API and for the scheduler
+const REMINDER_PLANS = {
+  manual: 'pro',
+  automatic: 'premium'
+};
+
+// Customers looked at per query when the scheduler walks a business
+const BATCH_SIZE = 100;
+
+// Used when the business has not written its own message. A line whose
+// placeholder has no value (e.g. {upiLink} without a UPI ID) is left out.
+const DEFAULT_REMINDER_MESSAGE = [
+  'Dear {customerName}, a payment of ₹{amount} is due to {businessName}.',
+  'Oldest unpaid invoice: {oldestInvoiceDate}',
+  'Pay by UPI: {upiLink}',
+  'Please ignore this message if you have already paid. Thank you!'
+].join('\n');
+
+// Fill {placeholders} in a message template, dropping lines whose
+// placeholders have no value; unknown placeholders are kept as written
+const renderReminderMessage = (template, values) => template
+  .split('\n')
+  .filter(line => !(line.match(/\{\w+\}/g) || []).some(token => {
+    const key = token.slice(1, -1);
+    return key in values && (values[key] === null || values[key] === undefined || values[key] === '');
+  }))
+  .map(line => line.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token)))
+  .join('\n')
+  .trim();
+
+/**
+ * Put together the reminder for a customer's outstanding balance.
+ *
+ * @param {Object} params
+ * @param {Object} params.business - Business document
+ * @param {Object} params.customer - Customer document
+ * @param {Object|null} params.summary - Row from getUnpaidInvoiceSummary
+ * @param {Date} [params.now] - Time the reminder is sent
+ * @returns {Object} { subject, message, amount, upiLink }
+ */
+const buildReminder = ({ business, customer, summary, now = new Date() }) => {
+  const amount = roundMoney(customer.outstandingBalance);
+  const upiLink = buildUpiLink({
+    upiId: business.upi_id,
+    payeeName: business.business_name,
+    amount,
+    note: `Dues from ${customer.name}`.slice(0, 50)
+  });
+
+  const oldest = summary ? summary.oldestUnpaidInvoiceDate : null;
+  const message = renderReminderMessage(business.reminder_settings.message_template || DEFAULT_REMINDER_MESSAGE, {
+    customerName: customer.name,
+    businessName: business.business_name,
+    businessPhone: business.contact_details && business.contact_details.phone,
+    amount: formatAmount(amount),
+    invoiceCount: summary ? summary.unpaidInvoices : null,
+    oldestInvoiceDate: oldest ? formatDate(oldest) : null,
+    daysOverdue: oldest ? Math.max(0, Math.floor((now - oldest) / DAY_MS)) : null,
+    upiId: business.upi_id,
+    upiLink
+  });
+
+  return {
+    subject: `Payment reminder from ${business.business_name}`,
+    message,
+    amount,
+    upiLink
+  };
+};
+
+// Status logged for a transport's answer
+const deliveryStatus = (outcome) => {
+  if (!outcome.success) return 'failed';
+  return outcome.simulated ? 'simulated' : 'sent';
+};
+
+// Send a reminder on each channel and log every attempt. Channels with no
+// address on the customer are reported as skipped and not logged. Only real
+// deliveries make the reminder sent.
+const deliverReminder = async ({ business, customer, summary, channels, trigger, sentBy = null, now = new Date() }) => {
+  const reminder = buildReminder({ business, customer, summary, now });
+
+  const results = [];
+  for (const channel of channels) {
+    const to = getRecipient(channel, customer);
+    if (!to) {
+      results.push({ channel, status: 'skipped', error: `Customer has no ${channel === 'email' ? 'email address' : 'mobile number'}` });
+      continue;
+    }
+
+    const outcome = await sendThroughChannel(channel, { ...reminder, to, customer, business });
+    const log = await PaymentReminder.create({
+      customerId: customer._id,
+      channel,
+      recipient: to,
+      status: deliveryStatus(outcome),
+      trigger,
+      amount: reminder.amount,
+      message: reminder.message,
+      upiLink: reminder.upiLink,
+      messageId: outcome.messageId || null,
+      error: outcome.success ? null : outcome.error || 'Unknown error',
+      sentAt: now,
+      sentBy,
+      businessId: business._id,
+      userId: customer.userId
+    });
+    results.push({ channel, status: log.status, recipient: to, reminderId: log._id, error: log.error });
+  }
+
+  return {
+    ...reminder,
+    results,
+    sent: results.some(result => result.status === 'sent'),
+    simulated: results.some(result => result.status === 'simulated')
+  };
+};
+
+/**
+ * Remind a customer of their outstanding balance straight away.
+ *
+ * @param {Object} params
+ * @param {Object} params.business - Business sending the reminder
+ * @param {Object} params.customer - Customer document
+ * @param {Array<string>} [params.channels] - Defaults to the business's channels
+ * @param {ObjectId} [params.sentBy] - User who asked for the reminder
+ * @returns {Promise<Object>} Message sent and the result per channel
+ */
+const sendReminderNow = async ({ business, customer, channels, sentBy = null }) => {
+  const selected = channels && channels.length > 0 ? [...new Set(channels)] : business.reminder_settings.channels;
+  const unknown = selected.filter(channel => !REMINDER_CHANNELS.includes(channel));
+  if (unknown.length > 0) {
+    throw new HttpError(`Unknown reminder channel: ${unknown.join(', ')}. Use ${REMINDER_CHANNELS.join(', ')}.`);
+  }
+  if (selected.length === 0) {
+    throw new HttpError('Choose at least one reminder channel');
+  }
+  if (!(customer.outstandingBalance > AMOUNT_EPSILON)) {
+    throw new HttpError('Customer has no outstanding balance');
+  }
+
+  const summaries = await getUnpaidInvoiceSummary(customer.userId, [customer._id]);
+  const now = new Date();
+  const delivery = await deliverReminder({
+    business,
+    customer,
+    summary: summaries.get(String(customer._id)) || null,
+    channels: selected,
+    trigger: 'manual',
+    sentBy,
+    now
+  });
+
+  // A manual reminder also holds back the next automatic one
+  if (delivery.sent) {
+    await Customer.updateOne({ _id: customer._id }, { $set: { lastReminderAt: now } });
+  }
+  return delivery;
+};
+
+// Automatic reminders already sent for the balance that has been overdue
+// since the given date; one reminder on several channels counts once.
+// Simulated rounds count too, so a stub channel cannot remind forever.
+const countAutomaticReminders = async (customer, since) => {
+  const rounds = await PaymentReminder.distinct('sentAt', {
+    userId: customer.userId,
+    customerId: customer._id,
+    trigger: 'automatic',
+    status: { $in: ['sent', 'simulated'] },
+    sentAt: { $gte: since }
+  });
+  return rounds.length;
+};
+
+// Send the reminders that are due for one business's customers
+const remindBusinessCustomers = async (business, now) => {
+  const settings = business.reminder_settings;
+  const overdueBefore = new Date(now.getTime() - settings.overdue_after_days * DAY_MS);
+  const notRemindedSince = new Date(now.getTime() - settings.repeat_every_days * DAY_MS);
+  const waitedLongEnough = [{ lastReminderAt: null }, { lastReminderAt: { $lte: notRemindedSince } }];
+
+  let sent = 0;
+  let lastId = null;
+  for (;;) {
+    const customers = await Customer.find({
+      userId: business.user_id,
+      outstandingBalance: { $gt: AMOUNT_EPSILON },
+      $or: waitedLongEnough,
+      ...(lastId && { _id: { $gt: lastId } })
+    }).sort({ _id: 1 }).limit(BATCH_SIZE);
+    if (customers.length === 0) break;
+    lastId = customers[customers.length - 1]._id;
+
+    const summaries = await getUnpaidInvoiceSummary(business.user_id, customers.map(customer => customer._id));
+
+    for (const customer of customers) {
+      const summary = summaries.get(String(customer._id));
+      if (!summary || summary.oldestUnpaidInvoiceDate > overdueBefore) continue;
+      if (await countAutomaticReminders(customer, summary.oldestUnpaidInvoiceDate) >= settings.max_reminders) continue;
+
+      // Claim the customer first so another instance running at the same
+      // time does not remind them too
+      const previous = customer.lastReminderAt;
+      const claimed = await Customer.updateOne(
+        { _id: customer._id, $or: waitedLongEnough },
+        { $set: { lastReminderAt: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const delivery = await deliverReminder({
+        business,
+        customer,
+        summary,
+        channels: settings.channels,
+        trigger: 'automatic',
+        now
+      });
+
+      if (delivery.sent) {
+        sent += 1;
+      } else if (!delivery.simulated) {
+        // Nothing went out; try again on the next run. A simulated reminder
+        // keeps its wait so the stub is not run again every hour.
+        await Customer.updateOne({ _id: customer._id, lastReminderAt: now }, { $set: { lastReminderAt: previous } });
+      }
+    }
+  }
+  return sent;
+};
+
+/**
+ * Send every automatic reminder that is due. Businesses whose owner is no
+ * longer on a plan with automatic reminders are skipped. One business
+ * failing does not stop the others.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Customers reminded
+ */
+const runDueReminders = async (now = new Date()) => {
+  const businesses = await Business.find({
+    'reminder_settings.enabled': true,
+    'reminder_settings.channels.0': { $exists: true }
+  });
+
+  let reminded = 0;
+  for (const business of businesses) {
+    try {
+      const owner = await User.findById(business.user_id).select('subscription');
+      if (!planIncludes(getActivePlan(owner), REMINDER_PLANS.automatic)) continue;
+
+      reminded += await remindBusinessCustomers(business, now);
+    } catch (error) {
+      console.error(`Payment reminders for business ${business._id} could not be sent:`, error);
+    }
+  }
+  return reminded;
+};
+
+module.exports = {
+  REMINDER_PLANS,
+  DEFAULT_REMINDER_MESSAGE,
+  renderReminderMessage,
+  buildReminder,
+  sendReminderNow,
+  runDueReminders
+};
@@ -0,0 +1,117 @@
+const HttpError = require('./httpError');
+const { roundMoney } = require('./invoiceCalculator');
+
+// Tenders an invoice can be settled with. "credit" (udhaar) is a sale on
+// account: it is part of the tender split but leaves the amount outstanding.
+// "points" pays with the customer's loyalty points (see loyaltyService.js).
+const PAYMENT_METHODS = ['cash', 'upi', 'card', 'credit', 'points'];
+
+const METHOD_ALIASES = {
+  udhaar: 'credit',
+  udhar: 'credit',
+  'credit card': 'card',
+  'debit card': 'card'
+};
+
+// Amounts within half a paisa are treated as equal
+const AMOUNT_EPSILON = 0.005;
+
+const normalizePaymentMethod = (method) => {
+  const value = String(method || '').trim().toLowerCase();
+  const normalized = METHOD_ALIASES[value] || value;
+  if (!PAYMENT_METHODS.includes(normalized)) {
+    throw new HttpError(`Invalid payment method "${method}". Allowed: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  return normalized;
+};
+
+// Validate one tender entry from a request
+const normalizePayment = (payment, userId) => {
+  if (!payment || typeof payment !== 'object') {
+    throw new HttpError('Each payment requires a method and amount');
+  }
+
+  const amount = Number(payment.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new HttpError('Payment amount must be a positive number');
+  }
+
+  const method = normalizePaymentMethod(payment.method);
+  const points = Number(payment.points);
+  if (method === 'points' && (!Number.isInteger(points) || points <= 0)) {
+    throw new HttpError('A points payment requires a whole number of points');
+  }
+
+  return {
+    method,
+    amount: roundMoney(amount),
+    ...(method === 'points' && { points }),
+    reference: payment.reference ? String(payment.reference).trim() : undefined,
+    paidAt: payment.paidAt ? new Date(payment.paidAt) : new Date(),
+    recordedBy: userId
+  };
+};
+
+/**
+ * Build the tenders recorded when an invoice is created.
+ *
+ * With a `payments` array the tenders must add up to the invoice total. With
+ * only the legacy `paymentMethod` string the whole total is taken in that
+ * tender. With neither the invoice starts unpaid.
+ */
+const buildInitialPayments = ({ payments, paymentMethod, totalAmount, userId }) => {
+  if (Array.isArray(payments) && payments.length > 0) {
+    const tenders = payments.map(payment => normalizePayment(payment, userId));
+    const tendered = roundMoney(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+
+    if (Math.abs(tendered - totalAmount) > AMOUNT_EPSILON) {
+      throw new HttpError(
+        `Payments add up to ${tendered} but the invoice total is ${totalAmount}`,
+        422,
+        { tenderedAmount: tendered, totalAmount }
+      );
+    }
+    return tenders;
+  }
+
+  if (paymentMethod && totalAmount > 0) {
+    return [normalizePayment({ method: paymentMethod, amount: totalAmount }, userId)];
+  }
+
+  return [];
+};
+
+// Payment totals and status derived from an invoice's tenders. totalAmount
+// is what is owed on the invoice, i.e. its total less any credit notes.
+const summarizePayments = (payments = [], totalAmount = 0) => {
+  const amountPaid = roundMoney(payments
+    .filter(payment => payment.method !== 'credit')
+    .reduce((sum, payment) => sum + payment.amount, 0));
+  const balanceDue = roundMoney(Math.max(0, totalAmount - amountPaid));
+
+  let paymentStatus = 'unpaid';
+  if (balanceDue <= AMOUNT_EPSILON) {
+    paymentStatus = 'paid';
+  } else if (amountPaid > 0) {
+    paymentStatus = 'partially_paid';
+  }
+
+  return { amountPaid, balanceDue, paymentStatus };
+};
+
+// Summary label for the invoice's paymentMethod field
+const describePaymentMethods = (payments = []) => {
+  const methods = [...new Set(payments.map(payment => payment.method))];
+  if (methods.length === 0) return undefined;
+  return methods.length === 1 ? methods[0] : 'split';
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  AMOUNT_EPSILON,
+  normalizePaymentMethod,
+  normalizePayment,
+  buildInitialPayments,
+  summarizePayments,
+  describePaymentMethods
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Business = require('../models/Business');
+const { runInTransaction, issueInvoice } = require('./invoiceService');
+const { nextOccurrence, isWithinEndDate } = require('./recurringSchedule');
+const { formatDate } = require('./invoicePdf');
+const { emailInvoice } = require('./invoiceEmail');
+
+// Runs kept on each template, oldest dropped first
+const MAX_RUN_HISTORY = 100;
+
+// Most missed occurrences generated for one template after downtime;
+// anything older is recorded as skipped
+const getCatchUpLimit = () => {
+  const limit = parseInt(process.env.RECURRING_INVOICE_MAX_CATCH_UP);
+  return Number.isInteger(limit) && limit > 0 ? limit : 12;
+};
+
+// How often the scheduler looks for due templates; 0 disables it
+const getIntervalMinutes = () => {
+  const minutes = parseFloat(process.env.RECURRING_INVOICE_INTERVAL_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 15;
+};
+
+// Occurrence after the given one, or null once past the end date
+const followingRun = (template, occurrence) => {
+  const next = nextOccurrence(template.schedule, occurrence);
+  return isWithinEndDate(next, template.endDate) ? next : null;
+};
+
+// Build the invoice request for one occurrence of a template
+const payloadFromTemplate = (template, scheduledFor) => ({
+  items: template.items.map(item => ({
+    productId: item.productId,
+    quantity: item.quantity,
+    discountAmount: item.discountAmount,
+    discountType: item.discountType
+  })),
+  customerInfo: template.customerInfo.toObject ? template.customerInfo.toObject() : template.customerInfo,
+  discountAmount: template.discountAmount,
+  discountType: template.discountType,
+  paymentMethod: template.paymentMethod,
+  notes: [template.notes, `${template.name} - ${formatDate(scheduledFor)}`]
+    .filter(Boolean)
+    .join(' | ')
+    .slice(0, 500)
+});
+
+// Move the template past an occurrence and record what happened. Conditional
+// on nextRunAt so an occurrence is only ever processed once.
+const advanceTemplate = (template, scheduledFor, runs, session = null) => {
+  const last = runs[runs.length - 1].scheduledFor;
+  const next = followingRun(template, last);
+  return RecurringInvoice.findOneAndUpdate(
+    { _id: template._id, status: 'active', nextRunAt: scheduledFor },
+    {
+      $set: {
+        nextRunAt: next,
+        lastRunAt: new Date(),
+        ...(next ? {} : { status: 'completed' })
+      },
+      $push: { runs: { $each: runs, $slice: -MAX_RUN_HISTORY } }
+    },
+    { new: true, session }
+  );
+};
+
+// Email a generated invoice to the template's customer and flag the run
+const emailRunInvoice = async (template, invoice, business, runId) => {
+  const email = invoice.customerInfo && invoice.customerInfo.email;
+  if (!email) return;
+
+  const entry = await emailInvoice({ invoice, business, recipient: email, source: 'recurring' });
+  if (entry.status === 'sent') {
+    await RecurringInvoice.updateOne(
+      { _id: template._id, 'runs._id': runId },
+      { $set: { 'runs.$.emailed': true } }
+    );
+  }
+};
+
+/**
+ * Generate the invoice for one occurrence through the normal creation path.
+ * The invoice and the template's move to its next occurrence commit together,
+ * so a crash or a second server instance cannot bill the same occurrence twice.
+ * A failed run (e.g. out of stock) is recorded and the schedule moves on.
+ *
+ * @returns {Promise<boolean>} false if another run already took this occurrence
+ */
+const runOccurrence = async (template, scheduledFor, business) => {
+  const runId = new mongoose.Types.ObjectId();
+
+  let invoice;
+  let claimed = true;
+  try {
+    invoice = await runInTransaction(null, async (session) => {
+      claimed = true;
+      const { invoice: created } = await issueInvoice({
+        userId: template.userId,
+        business,
+        payload: payloadFromTemplate(template, scheduledFor),
+        session
+      });
+
+      const advanced = await advanceTemplate(template, scheduledFor, [{
+        _id: runId,
+        scheduledFor,
+        status: 'success',
+        invoiceId: created._id,
+        invoiceNumber: created.invoiceNumber,
+        totalAmount: created.totalAmount
+      }], session);
+
+      // Another run got here first; abort so no invoice is created
+      if (!advanced) {
+        claimed = false;
+        throw new Error('Occurrence already processed');
+      }
+      return created;
+    });
+  } catch (error) {
+    if (!claimed) {
+      return false;
+    }
+    console.error(`Recurring invoice ${template._id} failed for ${scheduledFor.toISOString()}:`, error.message);
+    const advanced = await advanceTemplate(template, scheduledFor, [{
+      _id: runId,
+      scheduledFor,
+      status: 'failed',
+      error: error.message
+    }]);
+    return Boolean(advanced);
+  }
+
+  if (template.emailInvoice) {
+    try {
+      await emailRunInvoice(template, invoice, business, runId);
+    } catch (error) {
+      console.error(`Recurring invoice ${template._id} email failed:`, error.message);
+    }
+  }
+  return true;
+};
+
+/**
+ * Generate every due occurrence of a template up to now. After downtime the
+ * missed occurrences are generated in order (or only the latest one when the
+ * template's catchUp is 'latest'); older ones beyond the catch-up limit are
+ * recorded as skipped.
+ */
+const processTemplate = async (template, now = new Date()) => {
+  const due = [];
+  for (let occurrence = template.nextRunAt; occurrence && occurrence <= now; occurrence = followingRun(template, occurrence)) {
+    due.push(occurrence);
+  }
+  if (due.length === 0) return;
+
+  const keep = template.catchUp === 'latest' ? 1 : getCatchUpLimit();
+  const skipped = due.slice(0, Math.max(0, due.length - keep));
+  const toRun = due.slice(skipped.length);
+
+  if (skipped.length > 0) {
+    const advanced = await advanceTemplate(
+      template,
+      template.nextRunAt,
+      skipped.map(scheduledFor => ({ scheduledFor, status: 'skipped', error: 'Missed while the scheduler was not running' }))
+    );
+    if (!advanced) return;
+  }
+
+  const business = await Business.findOne({ user_id: template.userId });
+  for (const scheduledFor of toRun) {
+    const ran = await runOccurrence(template, scheduledFor, business);
+    if (!ran) return;
+  }
+};
+
+// Process all active templates that have an occurrence due
+const runDueRecurringInvoices = async (now = new Date()) => {
+  const templates = await RecurringInvoice.find({
+    status: 'active',
+    nextRunAt: { $ne: null, $lte: now }
+  }).sort({ nextRunAt: 1 });
+
+  for (const template of templates) {
+    try {
+      await processTemplate(template, now);
+    } catch (error) {
+      console.error(`Recurring invoice ${template._id} could not be processed:`, error);
+    }
+  }
+  return templates.length;
+};
+
+let timer = null;
+let running = false;
+
+// Start the in-process scheduler. It runs once straight away so anything
+// missed while the server was down is caught up on startup.
+const startRecurringInvoiceScheduler = () => {
+  const minutes = getIntervalMinutes();
+  if (timer || minutes === 0) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueRecurringInvoices();
+    } catch (error) {
+      console.error('Recurring invoice scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+  console.log(`🔁 Recurring invoice scheduler running every ${minutes} minutes`);
+};
+
+const stopRecurringInvoiceScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runDueRecurringInvoices,
+  startRecurringInvoiceScheduler,
+  stopRecurringInvoiceScheduler
+};
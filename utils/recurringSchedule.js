@@ -0,0 +1,107 @@
+const HttpError = require('./httpError');
+
+const FREQUENCIES = ['weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences fall at midnight IST so a monthly bill lands on the same
+// calendar date for the business regardless of the server's timezone
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Calendar parts of a date as seen in IST
+const istParts = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return {
+    year: ist.getUTCFullYear(),
+    month: ist.getUTCMonth(),
+    day: ist.getUTCDate(),
+    weekday: ist.getUTCDay()
+  };
+};
+
+// Midnight IST on a calendar date, as a UTC instant
+const istMidnight = (year, month, day) => new Date(Date.UTC(year, month, day) - IST_OFFSET_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day-of-month clamped to the length of the month, so the 31st runs on the
+// 30th in April and the 28th or 29th in February
+const monthlyOccurrence = (year, month, dayOfMonth) => {
+  const normalized = new Date(Date.UTC(year, month, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth();
+  return istMidnight(y, m, Math.min(dayOfMonth, daysInMonth(y, m)));
+};
+
+/**
+ * Validate a schedule and fill in defaults from the start date.
+ *
+ * @param {Object} schedule - { frequency, interval, dayOfWeek, dayOfMonth }
+ * @param {Date} startDate - First day the schedule may run
+ * @returns {Object} Normalized schedule
+ */
+const normalizeSchedule = (schedule = {}, startDate) => {
+  const { frequency } = schedule;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new HttpError(`Schedule frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = schedule.interval === undefined ? 1 : Number(schedule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    throw new HttpError('Schedule interval must be a whole number between 1 and 12');
+  }
+
+  const start = istParts(startDate);
+  if (frequency === 'weekly') {
+    const dayOfWeek = schedule.dayOfWeek === undefined ? start.weekday : Number(schedule.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new HttpError('dayOfWeek must be between 0 (Sunday) and 6 (Saturday)');
+    }
+    return { frequency, interval, dayOfWeek, dayOfMonth: null };
+  }
+
+  const dayOfMonth = schedule.dayOfMonth === undefined ? start.day : Number(schedule.dayOfMonth);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+    throw new HttpError('dayOfMonth must be between 1 and 31');
+  }
+  return { frequency, interval, dayOfWeek: null, dayOfMonth };
+};
+
+// First occurrence on or after the start date
+const firstOccurrence = (schedule, startDate) => {
+  const start = istParts(startDate);
+  if (schedule.frequency === 'weekly') {
+    const offset = (schedule.dayOfWeek - start.weekday + 7) % 7;
+    return istMidnight(start.year, start.month, start.day + offset);
+  }
+
+  const candidate = monthlyOccurrence(start.year, start.month, schedule.dayOfMonth);
+  return candidate >= istMidnight(start.year, start.month, start.day)
+    ? candidate
+    : monthlyOccurrence(start.year, start.month + 1, schedule.dayOfMonth);
+};
+
+// Occurrence following a given occurrence
+const nextOccurrence = (schedule, occurrence) => {
+  if (schedule.frequency === 'weekly') {
+    return new Date(new Date(occurrence).getTime() + schedule.interval * 7 * DAY_MS);
+  }
+
+  const { year, month } = istParts(occurrence);
+  return monthlyOccurrence(year, month + schedule.interval, schedule.dayOfMonth);
+};
+
+// Whether an occurrence is still within the (inclusive) end date
+const isWithinEndDate = (occurrence, endDate) => {
+  if (!endDate) return true;
+  const end = istParts(endDate);
+  return occurrence < istMidnight(end.year, end.month, end.day + 1);
+};
+
+module.exports = {
+  FREQUENCIES,
+  normalizeSchedule,
+  firstOccurrence,
+  nextOccurrence,
+  isWithinEndDate
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { sendPaymentReminderEmail } = require('./emailService');
+
+const REMINDER_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Messages kept by each stub transport for inspection in development
+const STUB_OUTBOX_SIZE = 50;
+
+/**
+ * Transport that only keeps the message in an in-memory outbox. SMS and
+ * WhatsApp use it until a real provider is registered with
+ * registerReminderTransport. Its sends are reported as simulated, never as
+ * delivered, and only their messageId is logged since the recipient and text
+ * are the customer's data.
+ *
+ * @param {string} channel - Channel name shown in the log
+ * @returns {Object} Transport with send() and the outbox array
+ */
+const createStubTransport = (channel) => {
+  const outbox = [];
+
+  return {
+    outbox,
+    send: async ({ to, message }) => {
+      const messageId = `${channel}-stub-${crypto.randomBytes(8).toString('hex')}`;
+      outbox.push({ messageId, to, message, sentAt: new Date() });
+      if (outbox.length > STUB_OUTBOX_SIZE) outbox.shift();
+
+      console.log(`📨 [${channel} stub] simulated reminder ${messageId}`);
+      return { success: true, simulated: true, messageId };
+    }
+  };
+};
+
+const emailTransport = {
+  send: ({ to, subject, message, amount, upiLink, business }) => sendPaymentReminderEmail(to, {
+    business,
+    subject,
+    message,
+    amount,
+    upiLink
+  })
+};
+
+// Where each channel delivers to on a customer
+const recipients = {
+  email: customer => customer.email || null,
+  sms: customer => customer.mobileNumber || null,
+  whatsapp: customer => customer.mobileNumber || null
+};
+
+const transports = {
+  email: emailTransport,
+  sms: createStubTransport('sms'),
+  whatsapp: createStubTransport('whatsapp')
+};
+
+/**
+ * Deliver one channel's reminders through a different provider, e.g. an SMS
+ * gateway or the WhatsApp Business API.
+ *
+ * A transport is an object with an async send({ to, subject, message,
+ * amount, upiLink, customer, business }) that resolves to
+ * { success, messageId } or { success: false, error }. A transport that
+ * does not really deliver adds simulated: true.
+ *
+ * @param {string} channel - email, sms or whatsapp
+ * @param {Object} transport - Transport to use from now on
+ */
+const registerReminderTransport = (channel, transport) => {
+  if (!REMINDER_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown reminder channel: ${channel}`);
+  }
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('A reminder transport needs a send function');
+  }
+  transports[channel] = transport;
+};
+
+// Address for a channel on a customer, or null when the customer has none
+const getRecipient = (channel, customer) => recipients[channel](customer);
+
+// Send through a channel's transport; a transport that throws counts as a
+// failed send
+const sendThroughChannel = async (channel, reminder) => {
+  try {
+    const result = await transports[channel].send(reminder);
+    return result || { success: false, error: 'Transport returned no result' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  REMINDER_CHANNELS,
+  createStubTransport,
+  registerReminderTransport,
+  getRecipient,
+  sendThroughChannel
+};
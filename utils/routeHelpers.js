@@ -0,0 +1,36 @@
+const HttpError = require('./httpError');
+
+// Respond with the status carried by an HttpError, 400 for schema
+// validation failures and 500 for anything else
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: error.message || fallbackMessage,
+    error: error.message
+  });
+};
+
+// Escape user input before using it inside a $regex query
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  sendError,
+  escapeRegex
+};
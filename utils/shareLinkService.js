@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const InvoiceShareLink = require('../models/InvoiceShareLink');
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_VIEW_LOG = 100;
+
+// 32 random bytes: not guessable and not derived from the invoice
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Base URL for public links; falls back to the host the request came in on
+const getPublicBaseUrl = (req) => (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`)
+  .replace(/\/+$/, '');
+
+const buildShareUrl = (req, token) => `${getPublicBaseUrl(req)}/public/invoices/${token}`;
+
+// Look up the link for a public token. Resolves to null for unknown tokens;
+// expired and revoked links are returned so the caller can say why.
+const findLinkByToken = (token) => {
+  if (!token || !/^[A-Za-z0-9_-]{20,100}$/.test(token)) {
+    return Promise.resolve(null);
+  }
+  return InvoiceShareLink.findOne({ tokenHash: hashToken(token) });
+};
+
+// Count a view and keep a short log of who opened the link
+const recordView = (link, req, format) => InvoiceShareLink.updateOne(
+  { _id: link._id },
+  {
+    $inc: { viewCount: 1 },
+    $set: { lastViewedAt: new Date() },
+    $push: {
+      views: {
+        $each: [{
+          viewedAt: new Date(),
+          format,
+          ip: req.ip,
+          userAgent: String(req.get('user-agent') || '').slice(0, 300)
+        }],
+        $slice: -MAX_VIEW_LOG
+      }
+    }
+  }
+);
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  generateToken,
+  hashToken,
+  buildShareUrl,
+  findLinkByToken,
+  recordView
+};
@@ -0,0 +1,22 @@
+// Plans from lowest to highest, keyed like SUBSCRIPTION_PLANS in
+// razorpayService.js
+const PLAN_TIERS = ['basic', 'pro', 'premium', 'enterprise'];
+
+// Plan whose features a user gets; without an active subscription that is
+// the basic plan
+const getActivePlan = (user) => {
+  const plan = user && user.subscription && user.subscription.plan_type;
+  if (!user || !user.hasActiveSubscription() || !PLAN_TIERS.includes(plan)) {
+    return 'basic';
+  }
+  return plan;
+};
+
+// Whether a plan includes everything in another, e.g. premium includes pro
+const planIncludes = (plan, minimumPlan) => PLAN_TIERS.indexOf(plan) >= PLAN_TIERS.indexOf(minimumPlan);
+
+module.exports = {
+  PLAN_TIERS,
+  getActivePlan,
+  planIncludes
+};
@@ -0,0 +1,254 @@
+const { formatDate } = require('./invoicePdf');
+const { buildInvoiceUpiLink } = require('./upiService');
+
+// Characters per line on common thermal printers (Font A)
+const PAPER_WIDTHS = {
+  58: 32,
+  80: 48
+};
+
+// ESC/POS control sequences
+const ESC = 0x1b;
+const GS = 0x1d;
+const ESC_POS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0x00],
+  alignCenter: [ESC, 0x61, 0x01],
+  boldOn: [ESC, 0x45, 0x01],
+  boldOff: [ESC, 0x45, 0x00],
+  feed: (lines) => [ESC, 0x64, lines],
+  cut: [GS, 0x56, 0x42, 0x00]
+};
+
+// Thermal printers only have single-byte code pages; replace anything else
+const toPrintable = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/₹/g, 'Rs')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+const padRight = (text, width) => text.length >= width ? text.slice(0, width) : text + ' '.repeat(width - text.length);
+const padLeft = (text, width) => text.length >= width ? text.slice(0, width) : ' '.repeat(width - text.length) + text;
+const center = (text, width) => padRight(' '.repeat(Math.max(0, Math.floor((width - text.length) / 2))) + text, width);
+
+// Word-wrap text to the paper width, breaking words longer than a line
+const wrap = (text, width) => {
+  const lines = [];
+  let current = '';
+  toPrintable(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.length ? lines : [''];
+};
+
+// Left text and right text on one line, wrapping the left side if needed.
+// Leading spaces on the left text are kept as an indent.
+const leftRight = (left, right, width) => {
+  const rightText = toPrintable(right);
+  const indent = left.match(/^\s*/)[0];
+  const leftLines = wrap(left, Math.max(1, width - rightText.length - indent.length - 1))
+    .map(text => indent + text);
+  const last = leftLines.pop();
+  return [...leftLines, padRight(last, width - rightText.length) + rightText];
+};
+
+// Fixed-width columns; widths are proportions of the line width
+const columns = (values, proportions, width) => {
+  const total = proportions.reduce((sum, p) => sum + p, 0);
+  const widths = proportions.map(p => Math.floor(width * p / total));
+  widths[widths.length - 1] += width - widths.reduce((sum, w) => sum + w, 0);
+  return values.map((value, i) => {
+    const text = toPrintable(value);
+    return i === 0 ? padRight(text, widths[i]) : padLeft(text, widths[i]);
+  }).join('');
+};
+
+/**
+ * Lay out a receipt as a list of blocks. Each block is either a text line
+ * ({ text, align, bold }) or a QR code ({ qr }) so the same layout can
+ * be rendered as plain text or ESC/POS.
+ */
+const buildReceiptBlocks = (invoice, business, width) => {
+  const blocks = [];
+  const line = (text, options = {}) => blocks.push({ text: toPrintable(text), ...options });
+  const rule = (char = '-') => line(char.repeat(width));
+
+  // Business header
+  if (business) {
+    wrap(business.business_name, width).forEach(text => line(text, { align: 'center', bold: true }));
+    const address = business.business_address;
+    if (address) {
+      wrap(`${address.street}, ${address.city}, ${address.state} - ${address.pincode}`, width)
+        .forEach(text => line(text, { align: 'center' }));
+    }
+    if (business.contact_details && business.contact_details.phone) {
+      line(`Ph: ${business.contact_details.phone}`, { align: 'center' });
+    }
+    if (business.gst_number) {
+      line(`GSTIN: ${business.gst_number}`, { align: 'center' });
+    }
+  }
+  line('TAX INVOICE', { align: 'center', bold: true });
+  if (invoice.status === 'void') {
+    line('*** CANCELLED ***', { align: 'center', bold: true });
+  }
+  rule();
+
+  // Invoice details
+  line(`Bill No: ${invoice.invoiceNumber}`);
+  line(`Date: ${formatDate(invoice.invoiceDate)}`);
+  const customer = invoice.customerInfo || {};
+  if (customer.name) wrap(`Customer: ${customer.name}`, width).forEach(text => line(text));
+  if (customer.mobileNumber) line(`Mobile: ${customer.mobileNumber}`);
+  rule();
+
+  // Items: name on its own line(s), then quantity x rate and amount
+  leftRight('Item', 'Amount', width).forEach(text => line(text, { bold: true }));
+  rule();
+  invoice.items.forEach(item => {
+    wrap(item.productName, width).forEach(text => line(text));
+    const detail = `  ${item.quantity}${item.unit ? ` ${item.unit}` : ''} x ${formatMoney(item.price)}`;
+    leftRight(detail, formatMoney(item.grossAmount), width).forEach(text => line(text));
+    const discount = (item.discountAmount || 0) + (item.invoiceDiscountShare || 0);
+    if (discount) {
+      leftRight('  Discount', `-${formatMoney(discount)}`, width).forEach(text => line(text));
+    }
+  });
+  rule();
+
+  // Totals
+  const totalRows = [['Subtotal', invoice.subtotal]];
+  const discount = (invoice.itemDiscountTotal || 0) + (invoice.discountAmount || 0);
+  if (discount) totalRows.push(['Discount', -discount]);
+  totalRows.push(['Taxable', invoice.taxableAmount]);
+  if (invoice.supplyType === 'inter_state') {
+    totalRows.push(['IGST', invoice.igstAmount]);
+  } else {
+    totalRows.push(['CGST', invoice.cgstAmount]);
+    totalRows.push(['SGST', invoice.sgstAmount]);
+  }
+  if (invoice.cessAmount) totalRows.push(['Cess', invoice.cessAmount]);
+  if (invoice.roundOff) totalRows.push(['Round Off', invoice.roundOff]);
+  totalRows.forEach(([label, value]) => leftRight(label, formatMoney(value), width).forEach(text => line(text)));
+  rule('=');
+  leftRight('TOTAL Rs', formatMoney(invoice.totalAmount), width).forEach(text => line(text, { bold: true }));
+  rule('=');
+
+  // Tenders
+  if (invoice.payments && invoice.payments.length > 0) {
+    invoice.payments.forEach(payment => {
+      const label = payment.method === 'credit' ? 'On Credit' : `Paid by ${payment.method.toUpperCase()}`;
+      leftRight(label, formatMoney(payment.amount), width).forEach(text => line(text));
+    });
+    if (invoice.balanceDue > 0) {
+      leftRight('Balance Due', formatMoney(invoice.balanceDue), width).forEach(text => line(text, { bold: true }));
+    }
+    rule();
+  }
+
+  // GST summary
+  if (invoice.taxSummary && invoice.taxSummary.length > 0) {
+    line('GST Summary', { bold: true });
+    if (invoice.supplyType === 'inter_state') {
+      line(columns(['GST%', 'Taxable', 'IGST'], [2, 3, 3], width));
+      invoice.taxSummary.forEach(row => line(columns(
+        [row.taxRate, formatMoney(row.taxableValue), formatMoney(row.igstAmount)], [2, 3, 3], width
+      )));
+    } else {
+      line(columns(['GST%', 'Taxable', 'CGST', 'SGST'], [2, 4, 3, 3], width));
+      invoice.taxSummary.forEach(row => line(columns(
+        [row.taxRate, formatMoney(row.taxableValue), formatMoney(row.cgstAmount), formatMoney(row.sgstAmount)],
+        [2, 4, 3, 3],
+        width
+      )));
+    }
+    rule();
+  }
+
+  // UPI payment QR; each format decides how to show it and what to say
+  const upiLink = buildInvoiceUpiLink(invoice, business);
+  if (upiLink) {
+    blocks.push({ qr: upiLink });
+    line(`UPI: ${business.upi_id}`, { align: 'center' });
+    rule();
+  }
+
+  line('Thank you! Visit again.', { align: 'center' });
+  return blocks;
+};
+
+const getLineWidth = (paperWidth) => {
+  const width = PAPER_WIDTHS[paperWidth];
+  if (!width) {
+    throw new Error(`Unsupported paper width ${paperWidth}. Allowed: ${Object.keys(PAPER_WIDTHS).join(', ')}`);
+  }
+  return width;
+};
+
+// Render a receipt as plain monospaced text. Text cannot show the QR code,
+// so the UPI link is printed in its place.
+const generateTextReceipt = (invoice, business, paperWidth = 58) => {
+  const width = getLineWidth(paperWidth);
+  return buildReceiptBlocks(invoice, business, width)
+    .flatMap(block => (block.qr
+      ? ['Pay with any UPI app:', ...wrap(block.qr, width)]
+      : [(block.align === 'center' ? center(block.text, width) : block.text).trimEnd()]))
+    .join('\n') + '\n';
+};
+
+// ESC/POS "GS ( k" commands printing a QR code natively on the printer
+const escPosQr = (data, moduleSize = 6) => {
+  const payload = Buffer.from(data, 'ascii');
+  const storeLength = payload.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // model 2
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]), // module size
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]), // error correction M
+    Buffer.from([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]) // print
+  ]);
+};
+
+// Render a receipt as an ESC/POS byte stream ready to send to the printer
+const generateEscPosReceipt = (invoice, business, paperWidth = 58) => {
+  const width = getLineWidth(paperWidth);
+  const chunks = [Buffer.from(ESC_POS.init)];
+
+  buildReceiptBlocks(invoice, business, width).forEach(block => {
+    if (block.qr) {
+      chunks.push(Buffer.from(ESC_POS.alignCenter), Buffer.from('Scan to pay with any UPI app\n', 'ascii'));
+      chunks.push(escPosQr(block.qr, paperWidth === 58 ? 5 : 6), Buffer.from('\n'));
+      return;
+    }
+    chunks.push(Buffer.from(block.align === 'center' ? ESC_POS.alignCenter : ESC_POS.alignLeft));
+    if (block.bold) chunks.push(Buffer.from(ESC_POS.boldOn));
+    chunks.push(Buffer.from(`${block.text.trimEnd()}\n`, 'ascii'));
+    if (block.bold) chunks.push(Buffer.from(ESC_POS.boldOff));
+  });
+
+  chunks.push(Buffer.from(ESC_POS.feed(4)), Buffer.from(ESC_POS.cut));
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  PAPER_WIDTHS,
+  generateTextReceipt,
+  generateEscPosReceipt
+};
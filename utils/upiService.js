@@ -0,0 +1,73 @@
+const QRCode = require('qrcode');
+
+// Build a UPI payment intent (deep link) for collecting an exact amount.
+// See the NPCI UPI linking specification for the parameters.
+const buildUpiLink = ({ upiId, payeeName, amount, note }) => {
+  if (!upiId) return null;
+
+  const params = [
+    ['pa', upiId],
+    ['pn', payeeName],
+    ['am', amount !== undefined && amount !== null ? Number(amount).toFixed(2) : undefined],
+    ['cu', 'INR'],
+    ['tn', note]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  // UPI apps expect the VPA's "@" unescaped
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&')}`;
+};
+
+// Amount still to be collected on an invoice
+const getAmountPayable = (invoice) => (
+  invoice.balanceDue !== undefined && invoice.balanceDue !== null ? invoice.balanceDue : invoice.totalAmount
+);
+
+// UPI intent for paying whatever is still due on an invoice; null once the
+// invoice is settled or the business has no UPI ID
+const buildInvoiceUpiLink = (invoice, business) => {
+  if (!business || !business.upi_id || invoice.status === 'draft') return null;
+
+  const amount = getAmountPayable(invoice);
+  if (!(amount > 0)) return null;
+
+  return buildUpiLink({
+    upiId: business.upi_id,
+    payeeName: business.business_name,
+    amount,
+    note: invoice.invoiceNumber
+  });
+};
+
+const QR_FORMATS = ['png', 'svg'];
+
+// Render a UPI intent as a QR code; PNG resolves to a Buffer, SVG to a string
+const generateUpiQr = (link, format = 'png', { size = 300 } = {}) => {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: size };
+
+  if (format === 'svg') {
+    return QRCode.toString(link, { ...options, type: 'svg' });
+  }
+  return QRCode.toBuffer(link, { ...options, type: 'png' });
+};
+
+// Payment details exposed on the invoice API
+const getInvoiceUpiDetails = (invoice, business) => {
+  const link = buildInvoiceUpiLink(invoice, business);
+  if (!link) return null;
+
+  return {
+    upiId: business.upi_id,
+    payeeName: business.business_name,
+    amount: getAmountPayable(invoice),
+    link,
+    qrPath: `/api/invoices/${invoice._id}/upi-qr`
+  };
+};
+
+module.exports = {
+  QR_FORMATS,
+  buildUpiLink,
+  buildInvoiceUpiLink,
+  generateUpiQr,
+  getInvoiceUpiDetails
+};